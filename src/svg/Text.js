@@ -56,8 +56,9 @@ vizuly2.svg.text.arcPath = function (radius,startAngle) {
  *  @param {String} value - The string that will be wrapped.
  *  @param {Number} lineHeight - The desired lineHeight in pixels.
  *  @param {Number} width - The maximum width of the text block in pixels.
+ *  @param {Number} [maxLines] - The most lines to wrap onto.  Any text that doesn't fit is cut short with an ellipsis.
  */
-vizuly2.svg.text.wrap = function (text, value, lineHeight, width) {
+vizuly2.svg.text.wrap = function (text, value, lineHeight, width, maxLines) {
 
     if (!width && text.attr("width")) width = Number(text.attr("width")); else width = width;
    
@@ -83,6 +84,10 @@ vizuly2.svg.text.wrap = function (text, value, lineHeight, width) {
             line.push(word);
             tspan.text(line.join(" "));
             if (tspan.node().getComputedTextLength() > width) {
+                if (maxLines && lineNumber + 1 >= maxLines) {
+                    vizuly2.svg.text.truncate(tspan, line.concat(words.reverse()).join(" "), width);
+                    break;
+                }
                 lineNumber++;
                 line.pop();
 	              tspan.text(line.join(" "));
@@ -94,3 +99,24 @@ vizuly2.svg.text.wrap = function (text, value, lineHeight, width) {
 
     });
 }
+
+/**
+ * This function sets the text of an *SVG text* (or *tspan*) object, cutting it short with an ellipsis if it is wider
+ * than the given width.
+ *  @memberof vizuly2.svg.text
+ *  @function
+ *  @param {vizuly2.d3.selection} text - The SVG.Text object as a vizuly2.d3.selection.
+ *  @param {String} value - The string to fit.
+ *  @param {Number} width - The maximum width of the text in pixels.
+ */
+vizuly2.svg.text.truncate = function (text, value, width) {
+
+    var chars = String(value);
+    text.text(chars);
+
+    while (chars.length > 0 && text.node().getComputedTextLength() > width) {
+        chars = chars.slice(0, -1);
+        text.text(chars + "\u2026");
+    }
+	
+}
@@ -0,0 +1,275 @@
+/*
+ Copyright (c) 2016, BrightPoint Consulting, Inc.
+
+ MIT LICENSE:
+
+ Permission is hereby granted, free of charge, to any person obtaining a copy of this software and associated
+ documentation files (the 'Software'), to deal in the Software without restriction, including without limitation
+ the rights to use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the Software,
+ and to permit persons to whom the Software is furnished to do so, subject to the following conditions:
+
+ The above copyright notice and this permission notice shall be included in all copies or substantial portions of the Software.
+
+ THE SOFTWARE IS PROVIDED 'AS IS', WITHOUT WARRANTY OF ANY KIND, EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED
+ TO THE WARRANTIES OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION OF
+ CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS
+ IN THE SOFTWARE.
+ */
+
+// @version 2.1.16
+
+
+/**
+ * The breadcrumb renders the path from the root of a vizuly2.viz.WeightedTree to the node that was last expanded or clicked.
+ * Clicking a segment collapses everything below that node and zooms the tree to it.
+ * @class
+ * @constructor
+ * @param {DOMElement} parent - Container element that will render the component.
+ *
+ * @fires segment_click
+ *
+ * @example
+ *
+ * var tree = vizuly2.viz.WeightedTree(document.getElementById('tree'))
+ *   .data(myData)
+ *   .children(function (d) { return d.values })
+ *   .key(function (d) { return d.id })
+ *   .label(function (d) { return d.name });
+ *
+ * var breadcrumb = vizuly2.ui.Breadcrumb(document.getElementById('breadcrumb'))
+ *   .tree(tree)
+ *   .update();
+ *
+ */
+vizuly2.ui.Breadcrumb = function (parent) {
+	
+	// This is the object that provides pseudo 'protected' properties that the vizuly2.viz function helps create
+	var scope = {};
+	
+	var d3 = vizuly2.d3;
+	
+	/** @lends vizuly2.ui.breadcrumb */
+	var properties = {
+		/**
+		 * WeightedTree that the breadcrumb follows.  Its *key* accessor is used for each segment.
+		 * @type {vizuly2.viz.WeightedTree}
+		 */
+		'tree': null,
+		/**
+		 * Function that returns the text of each segment from its data.
+		 * @type {Function}
+		 * @default false will use the *label* accessor of the tree
+		 */
+		'label': false,
+		/**
+		 * Text displayed between each segment of the trail.
+		 * @type {String}
+		 * @default ' / '
+		 */
+		'separator': ' / '
+	};
+	
+	var styles = {
+		'font-size': '12px',
+		'segment-color': '#333',
+		'segment-hover-color': '#bd0026',
+		'separator-color': '#999',
+		'segment-font-weight': function (d, i) {
+			return (i == path.length - 1) ? 'bold' : 'normal';    // Current node is shown in bold
+		}
+	}
+	
+	//Create our viz and type it
+	var viz = vizuly2.core.component(parent, scope, properties, ['segment_click']);
+	viz.type = 'ui.breadcrumb';
+	
+	viz.on('tree_change.internal', onTreeChanged);
+	
+	var path = [];                          // Data of each node from the root to the current node
+	
+	//These are all d3.selection objects we use to insert and update html elements into
+	var trail;
+	
+	// This is called once at initial object creation and sets up the appropriate container elements.
+	function initialize() {
+		
+		viz.defaultStyles(styles);
+		
+		scope.selection.attr('class', 'vz-breadcrumb').style('height', null);
+		trail = scope.selection.append('div').attr('class', 'vz-breadcrumb-trail');
+		
+		// Tell everyone we are done initializing
+		scope.dispatch.apply('initialize', this);
+	}
+	
+	// Stops listening to the previous tree and starts following the new one.
+	function onTreeChanged(tree, oldTree) {
+		
+		var ns = '.breadcrumb_' + scope.id;
+		
+		if (oldTree) {
+			oldTree.on('click' + ns, null).on('expand' + ns, null).on('node_refresh' + ns, null).on('node_remove' + ns, null).on('data_change' + ns, null);
+		}
+		
+		path = [];
+		
+		if (!tree) return;
+		
+		tree
+		 .on('click' + ns, function (e, d, i) {
+			 setPath(d);
+		 })
+		 .on('expand' + ns, function (nodes) {
+			 // Bulk expansions (expandAll, expandToDepth, state restores) don't point at any one node.
+			 if (nodes.length == 1) setPath(nodes[0]);
+		 })
+		 .on('node_refresh' + ns, function () {
+			 update();
+		 })
+		 .on('data_change' + ns, function () {
+			 // The old trail points at data the tree no longer has, so the next refresh starts again from the new root.
+			 path = [];
+		 })
+		 .on('node_remove' + ns, function (remove) {
+			 // Trim the trail back to the parent of the removed node.
+			 var i = path.indexOf(remove.data);
+			 if (i > 0) {
+				 path = path.slice(0, i);
+				 update();
+			 }
+		 });
+	}
+	
+	function setPath(node) {
+		path = node.ancestors().reverse().map(function (d) {
+			return d.data;
+		});
+		update();
+	}
+	
+	// This function performs any measurement or layout calcuations prior to making any updates to the DOM
+	function measure() {
+		
+		// Call our validate routine and make sure all component properties have been set
+		viz.validate();
+		
+		// Until the user has interacted with the tree we just show the root
+		if (path.length == 0 && scope.tree.data()) {
+			path = [scope.tree.data()];
+		}
+		
+		// Tell everyone we are done making our measurements
+		scope.dispatch.apply('measure', this);
+	}
+	
+	// The update function is the primary function that is called when we want to render the breadcrumb based on
+	// all of its set properties.
+	function update() {
+		
+		measure();
+		
+		var key = scope.tree.key();
+		var label = scope.label || scope.tree.label();
+		
+		var segment = trail.selectAll('.vz-breadcrumb-segment')
+		 .data(path, function (d) {
+			 return key(d);
+		 });
+		
+		segment.exit().remove();
+		
+		var segmentEnter = segment.enter().append('span')
+		 .attr('class', 'vz-breadcrumb-segment');
+		
+		segmentEnter.append('span')
+		 .attr('class', 'vz-breadcrumb-separator');
+		
+		segmentEnter.append('span')
+		 .attr('class', 'vz-breadcrumb-label')
+		 .style('cursor', 'pointer')
+		 .on('click', function (d) {
+			 var i = path.indexOf(d);
+			 onSegmentClick(d, i);
+			 scope.dispatch.apply('segment_click', viz, [this, d, i]);
+		 })
+		 .on('mouseover', function (d) {
+			 scope.dispatch.apply('mouseover', viz, [this, d, path.indexOf(d)]);
+		 })
+		 .on('mouseout', function (d) {
+			 scope.dispatch.apply('mouseout', viz, [this, d, path.indexOf(d)]);
+		 });
+		
+		segment = segmentEnter.merge(segment).order();
+		
+		segment.select('.vz-breadcrumb-separator')
+		 .text(function (d, i) {
+			 return i > 0 ? scope.separator : '';
+		 });
+		
+		segment.select('.vz-breadcrumb-label')
+		 .text(function (d) {
+			 return label(d);
+		 });
+		
+		scope.dispatch.apply('update', this);
+	}
+	
+	// Trims the trail back to the clicked segment and asks the tree to collapse everything below it.
+	function onSegmentClick(d, i) {
+		var trimmedPath = path.slice(0, i + 1);
+		scope.tree.collapseBelow(scope.tree.key()(d));
+		path = trimmedPath;
+		update();
+	}
+	
+	/**
+	 *
+	 *  This is will re-render our component
+	 *  @memberof vizuly2.ui.breadcrumb
+	 */
+	viz.update = function () {
+		update();
+		return viz;
+	};
+	
+	var stylesCallbacks = [
+		{on: 'update.styles', callback: applyStyles},
+		{on: 'mouseover.styles', callback: styles_onMouseOver},
+		{on: 'mouseout.styles', callback: styles_onMouseOut}
+	];
+	
+	viz.applyCallbacks(stylesCallbacks);
+	
+	function applyStyles() {
+		
+		// If we don't have a styles, we want to exit - as there is nothing we can do.
+		if (!scope.styles || scope.styles == null) return;
+		
+		var selection = scope.selection;
+		
+		selection.style('font-size', viz.getStyle('font-size'));
+		
+		selection.selectAll('.vz-breadcrumb-label')
+		 .style('color', function (d,i) { return viz.getStyle('segment-color', arguments) })
+		 .style('font-weight', function (d,i) { return viz.getStyle('segment-font-weight', arguments) })
+		
+		selection.selectAll('.vz-breadcrumb-separator')
+		 .style('color', function (d,i) { return viz.getStyle('separator-color', arguments) })
+		
+		scope.dispatch.apply('styled', viz);
+	}
+	
+	function styles_onMouseOver(e, d, i) {
+		d3.select(e).style('color', viz.getStyle('segment-hover-color', [d, i]));
+	}
+	
+	function styles_onMouseOut(e, d, i) {
+		d3.select(e).style('color', viz.getStyle('segment-color', [d, i]));
+	}
+	
+	initialize();
+	
+	return viz;
+	
+};
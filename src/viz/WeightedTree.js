@@ -19,6 +19,9 @@
 
 // @version 2.1.16
 
+// The *loadChildren* property needs a browser with native Promise support.
+/* global Promise */
+
 
 /**
  * The weighted tree renders hierarchical data in an expandable tree format where both branch width and node radius represent data parameters.
@@ -28,6 +31,16 @@
  *
  * @fires node_refresh
  * @fires data_prepped
+ * @fires expand
+ * @fires collapse
+ * @fires focus
+ * @fires blur
+ * @fires node_move
+ * @fires node_add
+ * @fires node_remove
+ * @fires node_rename
+ * @fires selection_change
+ * @fires children_error
  *
  * @example
  *
@@ -101,11 +114,42 @@ vizuly2.viz.WeightedTree = function (parent) {
 		 * @default d3.layout.tree
 		 */
 		'tree': d3.tree(),
+		/**
+		 * Determines how the tree is laid out.  Use 'tree' for a standard linear tree, or 'radial' to lay out nodes
+		 * in polar coordinates around the center of the chart.
+		 * @type {String}
+		 * @default 'tree'
+		 */
+		'layout': 'tree',
+		/**
+		 * Direction the tree grows from the root when using the 'tree' layout.
+		 * Can be 'left-right', 'right-left', 'top-down' or 'bottom-up'.
+		 * @type {String}
+		 * @default 'left-right'
+		 */
+		'orientation': 'left-right',
+		/**
+		 * Draws links and nodes as 'svg' elements, or onto a single 'canvas' for tens of thousands of visible nodes.
+		 * The canvas has no keyboard navigation, wrapped or 'path' labels, expand buttons (it expands on double click),
+		 * dragging, editing or icons, and draws circles in place of a *nodeRenderer*.
+		 * @type {String}
+		 * @default 'svg'
+		 */
+		'renderer': 'svg',
 		/**
 		 * object property for nested child array
 		 * @type {String}
 		 */
 		'children': null,
+		/**
+		 * Optional function used to fetch the children of a node on demand.  It is called with the data of a node that has
+		 * no children the first time that node is expanded, and should return a Promise that resolves to an array of child data.
+		 * The loaded children are added to the array the *children* accessor returns for that node, which is created on
+		 * leaf data that has none.  A failed load fires a *children_error* event and the node can be expanded again to retry.
+		 * @type {Function}
+		 * @default false - all children are read through the *children* accessor up front.
+		 */
+		'loadChildren': false,
 		/**
 		 * time(in milliseconds) of any animated transitions like the opening/closing of tree branches.
 		 * @type {Number}
@@ -117,6 +161,95 @@ vizuly2.viz.WeightedTree = function (parent) {
 		 * @default 600
 		 */
 		'value': null,
+		/**
+		 * Dynamic function that returns the value used for node radius.  When not set the *value* accessor is used.
+		 * @type {Function}
+		 * @default false
+		 */
+		'nodeValue': false,
+		/**
+		 * Dynamic function that returns the value used for the thickness of the branch leading into a node.  When not set the *value* accessor is used.
+		 * @type {Function}
+		 * @default false
+		 */
+		'linkValue': false,
+		/**
+		 * Shape of the branch leading into each node.  Use 'curved', 'elbow' for right angled steps, 'straight', or
+		 * 'tapered' for a filled branch that narrows from the width of the parent to the width of the child.
+		 * @type {String}
+		 * @default 'curved'
+		 */
+		'linkShape': 'curved',
+		/**
+		 * Dynamic function that returns a label for the branch leading into a node, given the data of that node.
+		 * @type {Function}
+		 * @default false
+		 */
+		'linkLabel': false,
+		/**
+		 * Where branch labels are drawn, at the 'middle' of each branch or along its 'path'.
+		 * @type {String}
+		 * @default 'middle'
+		 */
+		'linkLabelPosition': 'middle',
+		/**
+		 * Dynamic function that returns the value used to color a node and the branch leading into it.  When not set, each
+		 * first level branch (and everything below it) is given its own color from the *link-colors* style.
+		 * @type {Function}
+		 * @default false
+		 */
+		'colorValue': false,
+		/**
+		 * Color scale used with *colorValue*.  Its domain is set automatically from the range of color values - scales
+		 * with a three value domain (i.e. [-1, 0, 1]) are treated as diverging around the baseline.
+		 * @type {d3.scale}
+		 * @default d3.scaleSequential(d3.interpolateYlOrRd)
+		 */
+		'colorScale': d3.scaleSequential(d3.interpolateYlOrRd),
+		/**
+		 * Fits the domain of the *colorScale* to the range of color values on each update.  Turn this off to keep the
+		 * domain you gave the scale.
+		 * @type {Boolean}
+		 * @default true
+		 */
+		'autoColorDomain': true,
+		/**
+		 * Shows a legend for the color scale whenever *colorValue* is set.
+		 * @type {Boolean}
+		 * @default true
+		 */
+		'showLegend': true,
+		/**
+		 * Orders the children of each node.  Can be a comparator that is passed two nodes (use *node.data* for the
+		 * underlying data), or one of the presets 'value' (largest first), 'label' (alphabetical) or 'children' (most children first).
+		 * @type {Function|String}
+		 * @default false - children are shown in the order they appear in the data.
+		 */
+		'sort': false,
+		/**
+		 * Dynamic function that is passed the data of each node and returns true for nodes that should be shown.  Nodes
+		 * that don't match are hidden unless one of their descendants matches.  Hidden branches stay expanded or collapsed
+		 * for when the filter lets them back in.
+		 * @type {Function}
+		 * @default false
+		 */
+		'filter': false,
+		/**
+		 * Most children drawn under any one node.  Only the children with the largest values are drawn, followed by a
+		 * "more" node that stands in for the rest - clicking it shows the next batch and shift clicking it shows them all.
+		 * Search results and nodes revealed with *expandPath* or *centerOn* are always drawn.
+		 * @type {Number}
+		 * @default -1 draws every child
+		 */
+		'maxVisibleChildren': -1,
+		/**
+		 * Rolls the values of leaf nodes up to their ancestors before layout, so parents without values of their own are
+		 * sized by their descendants.  Can be 'sum', 'mean', 'min', 'max', 'count' (number of leaves) or a custom reducer
+		 * function (accumulated, childValue) that starts from 0.
+		 * @type {String|Function}
+		 * @default false
+		 */
+		'rollup': false,
 		/**
 		 * object property for value formatter for data tip
 		 * @type {String}
@@ -129,12 +262,82 @@ vizuly2.viz.WeightedTree = function (parent) {
 		 * @default  function (d,i) { return d; }
 		 */
 		'label': labelFunction,
+		/**
+		 * Widest a label can be in pixels before it wraps.
+		 * @type {Number}
+		 * @default -1 will not wrap labels
+		 */
+		'labelMaxWidth': -1,
+		/**
+		 * Most lines a wrapped label can take up.  Labels that still don't fit are cut short with an ellipsis, and the
+		 * full label is shown in the data tip.
+		 * @type {Number}
+		 * @default 1
+		 */
+		'labelMaxLines': 1,
+		/**
+		 * How overlapping labels are handled.  Use 'hide' to hide labels that overlap a label of a larger or shallower
+		 * node, 'shift' to first try nudging them out of the way, or 'none'.  With 'hide' or 'shift' labels keep the
+		 * same size on screen as the tree is zoomed, so hidden labels come back as you zoom in.
+		 * @type {String}
+		 * @default 'none'
+		 */
+		'labelCollision': 'none',
 		/**
 		 * Determines vertical node spacing as a percentage of total height;
 		 * @type {Number}
 		 * @default -1 will use automatic spacing;
 		 */
 		'maxNodeRadius': -1,
+		/**
+		 * Determines which values node sizes are compared against.  Use 'per-depth' to size nodes relative to others on
+		 * the same level, 'global' to use one scale across the whole tree, or 'relative-to-parent' to size each node by
+		 * its share of its parent's value.
+		 * @type {String}
+		 * @default 'per-depth'
+		 */
+		'radiusScaleMode': 'per-depth',
+		/**
+		 * Shows a legend of sample node sizes that explains the *radiusScaleMode* in use.
+		 * @type {Boolean}
+		 * @default false
+		 */
+		'showSizeLegend': false,
+		/**
+		 * Shows an overview of the whole tree in the bottom left corner, with a rectangle marking the part of the tree
+		 * that is in view.  Dragging the rectangle pans the tree, which needs *useZoom*.
+		 * @type {Boolean}
+		 * @default false
+		 */
+		'showMinimap': false,
+		/**
+		 * Width of the minimap in pixels.  Its height keeps the proportions of the chart.
+		 * @type {Number}
+		 * @default 160
+		 */
+		'minimapSize': 160,
+		/**
+		 * Values below the baseline are treated as negative - they are sized by their distance from the baseline and
+		 * drawn with the *negative-color* and *node-negative-fill* styles.
+		 * @type {Number}
+		 * @default 0
+		 */
+		'baseline': 0,
+		/**
+		 * An earlier snapshot of the hierarchy to compare *data* against, with nodes matched by *key*.  Added nodes are
+		 * outlined, removed nodes are shown as ghosts, changed nodes get a second ring sized to their earlier value and each
+		 * branch is colored by the percent change of the node it leads to.
+		 * @type {Object}
+		 * @default false
+		 */
+		'compareData': false,
+		/**
+		 * Limits a compared tree to the nodes that differ from *compareData*, along with their ancestors.  One of 'all',
+		 * 'changed' (any difference), 'added', 'removed' or 'modified' (the value changed).
+		 * @type {String}
+		 * @default 'all'
+		 */
+		'compareFilter': 'all',
 		/**
 		 * Determines horizontal node spacing as a fixed pixel amount;
 		 * @type {Number}
@@ -154,6 +357,105 @@ vizuly2.viz.WeightedTree = function (parent) {
 		 */
 		'useZoom': true,
 		'useZoomToNode': true,
+		/**
+		 * Smallest and largest scale the tree can be zoomed to, as [min, max], or false for no limit.
+		 * @type {Array}
+		 * @default false
+		 */
+		'scaleExtent': false,
+		/**
+		 * Limits how far the tree can be panned, as [[x0, y0], [x1, y1]] in plot coordinates.  Use 'tree' to keep the
+		 * visible nodes within reach (any node can still be panned to the center of the view), or false for no limit.
+		 * @type {Array|String}
+		 * @default false
+		 */
+		'translateExtent': false,
+		/**
+		 * Shows zoom in, zoom out and fit to view buttons in the top left corner of the chart.
+		 * @type {Boolean}
+		 * @default false
+		 */
+		'showZoomControls': false,
+		/**
+		 * Highlights the path from the root to a node and fades the rest of the tree.  Use 'hover' to follow the mouse
+		 * and keyboard focus, 'click' to keep the highlight on the last clicked node until it is clicked again, or 'none'.
+		 * @type {String}
+		 * @default 'none'
+		 */
+		'highlightMode': 'none',
+		/**
+		 * Includes the descendants of the highlighted node in the path highlight.
+		 * @type {Boolean}
+		 * @default false
+		 */
+		'highlightSubtree': false,
+		/**
+		 * How nodes are selected by clicking.  Use 'single' to select the clicked node, 'multiple' to also add and remove
+		 * nodes from the selection with Ctrl, Cmd or Shift click, or 'none'.  Each change fires a *selection_change* event.
+		 * @type {String}
+		 * @default 'none'
+		 */
+		'selectionMode': 'none',
+		/**
+		 * Mouse action that expands and collapses nodes - 'click', 'dblclick' or 'button' for a toggle beside each parent.
+		 * @type {String}
+		 * @default 'click'
+		 */
+		'expandOn': 'click',
+		/**
+		 * Lets users drag a node and its branch onto another node, firing a cancelable *node_move* event.
+		 * Dropping on a leaf needs a *node_move* listener to give the leaf's data a children array.
+		 * @type {Boolean}
+		 * @default false
+		 */
+		'draggable': false,
+		/**
+		 * Lets users rename (F2), add (Insert) and remove (Delete) nodes from the keyboard.
+		 * Renamed labels are kept by a *node_rename* listener.
+		 * @type {Boolean}
+		 * @default false
+		 */
+		'editable': false,
+		/**
+		 * Called with the data of a parent node when a child is added from the keyboard, and returns the data of the new child.
+		 * @type {Function}
+		 * @default false
+		 */
+		'createNode': false,
+		/**
+		 * Shape of each node - 'circle', 'card', 'image' (from *nodeImage*) or 'icon' (from *nodeIcon*), or a function
+		 * that returns one for the data of a node.
+		 * @type {String|Function}
+		 * @default 'circle'
+		 */
+		'nodeShape': 'circle',
+		/**
+		 * Draws each node in place of the built in shapes, given the node's group selection, the tree node and the duration.
+		 * The element with the class 'vz-weighted_tree-node-shape' takes the node styles.
+		 * @type {Function}
+		 * @default false
+		 */
+		'nodeRenderer': false,
+		/**
+		 * Returns the url of the photo shown by 'image' nodes for a given datum.
+		 * @type {Function}
+		 * @default false
+		 */
+		'nodeImage': false,
+		/**
+		 * Returns the id of the svg symbol shown by 'icon' nodes for a given datum, i.e. '#icon-server'.  The symbol has to be
+		 * defined on the page.
+		 * @type {Function}
+		 * @default false
+		 */
+		'nodeIcon': false,
+		/**
+		 * Returns a count or short status shown in a badge at the corner of a node for a given datum.  Nodes that return
+		 * null, undefined or an empty string get no badge.
+		 * @type {Function}
+		 * @default false
+		 */
+		'nodeBadge': false,
 		'dataTipRenderer': dataTipRenderer
 		
 	};
@@ -162,32 +464,104 @@ vizuly2.viz.WeightedTree = function (parent) {
 		'label-color': '#333',                    // Color of the center label
 		'link-colors': ['#bd0026', '#fecc5c', '#fd8d3.', '#f03b20', '#B02D5D', '#9B2C67', '#982B9A', '#692DA7', '#5725AA', '#4823AF', '#d7b5d8', '#dd1c77', '#5A0C7A', '#5A0C7A'],
 		'link-stroke': function (d, i) {
+			if (scope.compareData) return changeColor(d.target);
+			if (isNegative(d.target)) return viz.getStyle('negative-color');
 			return d.target.data.vz_link_color;
 		},
-		'link-stroke_opacity': function (d, i) {
-			if (viz.value()(d.target) <= 0) return .15;
-			return .35;                           // Dynamic function that returns opacity (in this case it is 1, but the WHITE skin uses a dynamic opacity
+		'link-stroke-opacity': function (d, i) {
+			if (isBaseline(d.target) || isGhost(d.target.data)) return .15;
+			return 1;                             // Dynamic function that returns opacity (in this case it is 1, but the WHITE skin uses a dynamic opacity
 		},
 		'node-fill': function (d, i) {
+			if (d.data.vz_more) return viz.getStyle('more-node-fill', arguments);
+			if (isGhost(d.data)) return viz.getStyle('compare-removed-color');
+			if (isNegative(d)) return viz.getStyle('node-negative-fill', arguments);
 			return d.data.vz_link_color;
 		},
 		'node-fill-opacity': function (d, i) {
-			if (viz.value()(d) <= 0) return .15;
+			if (isBaseline(d) || isGhost(d.data)) return .15;
 			return .4;
 		},
 		'node-stroke': function (d, i) {
+			if (d.data.vz_more) return viz.getStyle('more-node-stroke', arguments);
+			if (isGhost(d.data)) return viz.getStyle('compare-removed-color');
+			if (changeOf(d.data) == 'added') return viz.getStyle('compare-increase-color');
+			if (isNegative(d)) return viz.getStyle('negative-color');
 			return d.data.vz_link_color;
 		},
 		'node-stroke-opacity': function (d, i) {
 			return .6;
 		},
 		'text-fill-opacity': function (d, i) {
-			if (viz.value()(d) <= 0) return .35;
+			if (isBaseline(d) || isGhost(d.data)) return .35;
 			return 1;
 		},
+		'negative-color': '#2166ac',              // Color of nodes and branches with values below the baseline
+		'node-negative-fill': function (d, i) {
+			return 'url(#' + hatchId() + ')';       // Hatched with the negative color
+		},
 		'font-size': function () {
 			return fontSize + 'px';
-		}
+		},
+		'node-highlight-fill': '#FFD600',
+		'node-highlight-fill-opacity': .9,
+		'node-highlight-stroke': '#333',
+		'link-highlight-stroke': function (d, i) {
+			return d.target.data.vz_link_color;
+		},
+		'link-highlight-stroke-opacity': .8,
+		'link-label-color': '#666',
+		'link-label-font-size': function () {
+			return Math.round(fontSize * .8) + 'px';
+		},
+		'node-pending-stroke-dasharray': '2,2',
+		'node-focus-stroke': '#000',
+		'node-focus-stroke-width': 2,
+		'node-drop-stroke': '#333',
+		'node-drop-stroke-width': 3,
+		'node-selected-stroke': '#333',
+		'node-selected-stroke-width': 3,
+		'label-selected-font-weight': 'bold',
+		'toggle-fill': '#FFF',
+		'toggle-stroke': '#999',
+		'toggle-color': '#333',
+		'node-icon-color': '#333',
+		'badge-fill': '#bd0026',
+		'badge-color': '#FFF',
+		'badge-font-size': function () {
+			return Math.round(fontSize * .8) + 'px';
+		},
+		'node-dimmed-opacity': .2,                // Nodes off the highlighted path
+		'link-dimmed-opacity': .05,               // Branches off the highlighted path
+		'compare-increase-color': '#1a9850',     // Branches of nodes that grew, and the outline of added nodes
+		'compare-decrease-color': '#d73027',     // Branches of nodes that shrank or were removed
+		'compare-unchanged-color': '#ccc',
+		'compare-removed-color': '#999',         // Ghosts of removed nodes
+		'node-removed-stroke-dasharray': '3,3',
+		'more-node-fill': '#FFF',               // Nodes that stand in for children beyond the *maxVisibleChildren*
+		'more-node-stroke': function (d, i) {
+			return d.data.vz_link_color || '#999';
+		},
+		'more-node-stroke-dasharray': '2,2',
+		'more-label-color': '#666',
+		'node-compare-stroke': '#333',           // Ring showing the earlier value of a changed node
+		'node-compare-stroke-dasharray': '3,2',
+		'minimap-background': '#FFF',
+		'minimap-background-opacity': .85,
+		'minimap-stroke': '#CCC',
+		'minimap-link-stroke': '#CCC',
+		'minimap-node-fill': function (d, i) {
+			return d.data.vz_link_color || '#999';
+		},
+		'minimap-viewport-fill': '#333',
+		'minimap-viewport-fill-opacity': .1,
+		'minimap-viewport-stroke': '#333',
+		'zoom-button-background': '#FFF',
+		'zoom-button-color': '#333',
+		'zoom-button-border': '1px solid #CCC',
+		'legend-label-color': '#333',
+		'legend-font-size': '11px',
+		'legend-size-stroke': '#999'
 	}
 	
 	var labelFunction = function (d, i) {
@@ -195,14 +569,24 @@ vizuly2.viz.WeightedTree = function (parent) {
 	};
 	
 	//Create our viz and type it
-	var viz = vizuly2.core.component(parent, scope, properties, ['node_refresh', 'data_prepped']);
+	var viz = vizuly2.core.component(parent, scope, properties, ['node_refresh', 'data_prepped', 'expand', 'collapse', 'focus', 'blur', 'node_move', 'node_add', 'node_remove', 'node_rename', 'selection_change', 'children_error']);
 	viz.type = 'viz.chart.weighted_tree';
 	
 	var dataIsDirty = true;
 	var refreshNeeded = false;
+	var pendingState = null;                // State to apply the next time the hierarchy is built
+	var selectedKeys = [];                  // Keys of the nodes selected with the *selectionMode*, in the order they were selected
+	var focusedKey = null;                  // Key of the node that holds the tab stop for keyboard navigation
+	var pathNode = null;                    // Node whose path is highlighted by the *highlightMode*
+	var searchResults = [];                 // Nodes matched by the last viz.search()
+	var searchIndex = -1;                   // Position within searchResults we last stepped to
+	var searchMatches = {};                 // Keys of matched nodes
+	var searchPath = {};                    // Keys of matched nodes and their ancestors
+	var visibleChildren = {};               // Number of children shown after paging through a "more" node, by parent key
 	viz.on('data_change.internal', onDataChanged);
 	viz.on('height_change.internal', resetZoom);
 	viz.on('width_change.internal', resetZoom);
+	viz.on('renderer_change.internal', createScene);
 	
 	
 	//Measurements
@@ -214,13 +598,128 @@ vizuly2.viz.WeightedTree = function (parent) {
 	var maxDepth;                           // Deepest level of tree
 	var maxValues = {};                       // Maximum value for a given tree level - needed to calc node radius
 	var minValues = {};                       // Minimum value for a give tree level - needed to calc node radius
+	var maxLinkValues = {};                 // Maximum link value for a given tree level - needed to calc branch thickness
+	var minLinkValues = {};                 // Minimum link value for a given tree level
+	var globalValues = [];                  // Min and max node value across every level - used by the 'global' radiusScaleMode
+	var globalLinkValues = [];              // Min and max link value across every level
+	var valueExtent = [];                   // Min and max signed node value below the root
+	var linkScale = d3.scaleSqrt();         // Scale used for branch thickness when *linkValue* is set
+	
+	var rollupValues = {};                  // Rolled up value of each parent node, by key
+	var compareRollupValues = {};           // Rolled up value of each parent node within compareData, by key
+	
+	var currentNodes = {};                  // Data of each node in the data, by key
+	var compareNodes = {};                  // Data of each node in compareData, by key
+	var removedChildren = {};               // Children of each compareData node that are no longer in the data, by parent key
+	var changeScale = d3.scaleLinear().domain([-1, 0, 1]).clamp(true);   // Colors branches by percent change
+	
+	// Reducers used by vizuly2.core.util.aggregateNest for each *rollup* preset.
+	var rollupCalculations = {
+		'sum': function (a, b) { return a + b },
+		'mean': function (a, b) { return a + b },
+		'count': function (a, b) { return a + b },
+		'min': function (a, b) { return Math.min(a, b) },
+		'max': function (a, b) { return Math.max(a, b) }
+	};
+	
+	// Comparators used when the *sort* property is set to one of these names.
+	var sortPresets = {
+		'value': function (a, b) {
+			return nodeValueOf(b.data) - nodeValueOf(a.data);
+		},
+		'label': function (a, b) {
+			return String(labelOf(a.data)).localeCompare(String(labelOf(b.data)));
+		},
+		'children': function (a, b) {
+			return (scope.children(b.data) || []).length - (scope.children(a.data) || []).length;
+		}
+	};
+	
+	// Built in node shapes, used when the *nodeShape* property (or function) returns one of these names.
+	var nodeRenderers = {
+		'circle': function (selection, d, duration) {
+			nodePart(selection, 'circle', 'vz-weighted_tree-node-shape', {r: 1e-6})
+			 .transition('shape')
+			 .duration(duration)
+			 .attr('r', d.r);
+		},
+		'card': function (selection, d, duration) {
+			var size = shapeBounds(d, selection);
+			nodePart(selection, 'rect', 'vz-weighted_tree-node-shape', {x: 0, y: 0, width: 0, height: 0})
+			 .attr('rx', 4)
+			 .transition('shape')
+			 .duration(duration)
+			 .attr('x', -size[0] / 2)
+			 .attr('y', -size[1] / 2)
+			 .attr('width', size[0])
+			 .attr('height', size[1]);
+		},
+		'image': function (selection, d, duration) {
+			// The photo sits just inside the circle, which shows as a colored border.
+			nodeRenderers.circle(selection, d, duration);
+			var r = d.r * .85;
+			nodePart(selection, 'image', 'vz-weighted_tree-node-image', {x: 0, y: 0, width: 0, height: 0})
+			 .attr('href', scope.nodeImage ? scope.nodeImage(d.data) : null)
+			 .attr('preserveAspectRatio', 'xMidYMid slice')
+			 .attr('clip-path', 'url(#' + clipId() + ')')
+			 .style('pointer-events', 'none')
+			 .transition('shape')
+			 .duration(duration)
+			 .attr('x', -r)
+			 .attr('y', -r)
+			 .attr('width', r * 2)
+			 .attr('height', r * 2);
+		},
+		'icon': function (selection, d, duration) {
+			nodeRenderers.circle(selection, d, duration);
+			var r = d.r * .6;
+			nodePart(selection, 'use', 'vz-weighted_tree-node-icon', {x: 0, y: 0, width: 0, height: 0})
+			 .attr('href', scope.nodeIcon ? scope.nodeIcon(d.data) : null)
+			 .style('pointer-events', 'none')
+			 .transition('shape')
+			 .duration(duration)
+			 .attr('x', -r)
+			 .attr('y', -r)
+			 .attr('width', r * 2)
+			 .attr('height', r * 2);
+		}
+	};
+	
 	var diagonal = d3.linkHorizontal()      // Link layout.
 	var hieararchy;
 	var fontSize = 12;
-	var cx, cy;
+	var cx, cy;                             // Position of the root node (or center of a radial tree)
+	var radius;                             // Outer radius used by the radial layout
 	
 	var zoom = d3.zoom();
 	
+	// The root can't be moved, so we only start drags on its descendants.
+	var drag = d3.drag()
+	 .filter(function (d) { return d.depth > 0 && !isGhost(d.data) && !d.data.vz_more && !d3.event.button })
+	 .subject(function (d) {
+		 var p = nodePoint(d);
+		 return {x: p[0], y: p[1]};
+	 })
+	 .on('drag', onDrag)
+	 .on('end', onDragEnd);
+	
+	var dropTarget = null;                  // Node a dragged node is currently over
+	
+	var quadtree = null;                    // Node positions used to hit test the canvas renderer
+	var hitRadius = 0;                      // Largest node radius within the quadtree
+	var hoverNode = null;                   // Canvas item of the node the mouse is currently over
+	var drawTimer = null;                   // Timer that redraws the canvas while transitions are running
+	var drawUntil = 0;
+	var drawStart = 0;                      // Start time and length of the transition the canvas is drawing
+	var drawDuration = 0;
+	var canvasNodes = [];                   // Nodes drawn by the canvas renderer, each tweening from where it was to where it is going
+	var canvasLinks = [];                   // Links drawn by the canvas renderer, tweened the same way
+	var canvasPatterns = {};                // Canvas copies of svg fill patterns
+	var canvasImages = {};                  // Photos of 'image' nodes loaded for the canvas, by url
+	var linkCount = 0;                      // Number of branch paths we have given an id
+	var labelShifts = {};                   // Distance each label was nudged to avoid others, by key
+	var hiddenLabels = {};                  // Labels hidden because they overlap others, by vz_tree_id
+	
 	//Used to calc our node radius for each node based on min/max values per depth.
 	var nodeRadius = function (node) {
 		//Set max size/2 for root node.
@@ -229,468 +728,3393 @@ vizuly2.viz.WeightedTree = function (parent) {
 			r = nodeScale.range()[1] / 2;
 		}
 		else {
-			nodeScale.domain([minValues[node.depth], maxValues[node.depth]]);
-			r = nodeScale(scope.value(node.data));
+			r = scaleSize(nodeScale, node, nodeValueOf, minValues, maxValues, globalValues);
 		}
+		// A "more" node totals many children, so it is kept from outgrowing the largest node.
+		if (node.data && node.data.vz_more) r = Math.min(r, nodeScale.range()[1]);
 		return isNaN(r) ? 0 : r;
 	}
 	
-	//These are all d3.selection objects we use to insert and update svg elements into
-	var svg, g, background, plot, plotBackground, linkPlot, nodePlot, defs;
-	
+	// Branch thickness follows the node radius unless a separate *linkValue* has been set.
+	function linkWidth(link) {
+		if (!scope.linkValue || link.target.data.vz_more) return nodeRadius(link.target) * 2;
+		var w = scaleSize(linkScale, link.target, scope.linkValue, minLinkValues, maxLinkValues, globalLinkValues) * 2;
+		return isNaN(w) ? 0 : w;
+	}
 	
-	// This is called once at initial object creation and sets up the appropriate SVG container elements.
-	function initialize() {
-		
-		viz.defaultStyles(styles);
-		
-		scope.selection.attr('class', 'vz-weighted_tree-viz');
-		svg = scope.selection.append('svg').attr('id', scope.id).style('overflow', 'hidden').attr('class', 'vizuly vz-weighted_tree-viz');
-		defs = vizuly2.core.util.getDefs(viz);
-		background = svg.append('rect').attr('class', 'vz-background').style('fill', '#FFF').style('fill-opacity', 0.001);
-		g = svg.append('g').attr('class', 'vz-weighted_tree-viz');
-		plot = g.append('g').attr('class', 'vz-weighted_tree-plot');
-		plotBackground = plot.append('rect').attr('class', 'vz-plot-background');
-		linkPlot = plot.append('g').attr('class', 'vz-weighted_tree-link-plot');
-		nodePlot = plot.append('g').attr('class', 'vz-weighted_tree-node-plot');
-		
-		if (scope.useZoom) zoom.on('zoom', onZoom);
+	// Path of the branch leading into a node, in the *linkShape* in use.  The path is drawn into the given canvas
+	// context, or returned as svg path data when there isn't one.
+	function linkPath(link, context) {
 		
-		background.call(zoom);
+		var path = context || d3.path();
+		var s = link.source, t = link.target;
+		var depth = (s.y + t.y) / 2;
+		var p;
 		
-		// Create horizontal tree by transposing projection
-		diagonal.x(function (d) {
-			 return d.y
-		 })
-		 .y(function (d) {
-			 return d.x
-		 });
+		if (scope.linkShape == 'straight') {
+			p = linkPoint(s);
+			path.moveTo(p[0], p[1]);
+			p = linkPoint(t);
+			path.lineTo(p[0], p[1]);
+		}
+		else if (scope.linkShape == 'elbow') {
+			p = linkPoint(s);
+			path.moveTo(p[0], p[1]);
+			p = linkPoint({x: s.x, y: depth});
+			path.lineTo(p[0], p[1]);
+			// Radial steps go around the circle at the middle depth, the others straight across.
+			if (scope.layout == 'radial') {
+				path.arc(0, 0, depth, s.x - Math.PI / 2, t.x - Math.PI / 2, t.x < s.x);
+			}
+			else {
+				p = linkPoint({x: t.x, y: depth});
+				path.lineTo(p[0], p[1]);
+			}
+			p = linkPoint(t);
+			path.lineTo(p[0], p[1]);
+		}
+		else if (scope.linkShape == 'tapered') {
+			taperedPath(link, path);
+		}
+		else {
+			diagonal.context(path)(link);
+			diagonal.context(null);
+		}
 		
-		// Tell everyone we are done initializing
-		scope.dispatch.apply('initialize', this);
+		return context ? null : path.toString();
 	}
 	
+	// Widths of a tapered branch where it leaves its parent and where it reaches its child.
+	function linkWidths(link) {
+		return [link.source.depth > 0 ? linkWidth({target: link.source}) : nodeRadius(link.source) * 2, linkWidth(link)];
+	}
 	
-	// This function performs any measurement or layout calcuations prior to making any updates to the SVG element
-	function measure() {
-		
-		// Call our validate routine and make sure all component properties have been set
-		viz.validate();
+	// Outline of a filled branch that follows the 'curved' branch, narrowing from the width of the parent to the width
+	// of the child.
+	function taperedPath(link, path) {
 		
-		// Get our size based on height, width, and margin
-		size = vizuly2.core.util.size(scope.margin, scope.width, scope.height);
-		
-		// Set size of tree
-		tree.size([size.width, size.height]);
+		var p = linkCurve(link);
 		
-		// Each time the data changes we need to prep data and other settings for tree layout
-		if (dataIsDirty == true || refreshNeeded) {
-			
-			refreshData();
-			
-			if (dataIsDirty == true) {
-				function collapse(d) {
-					if (d.children) {
-						d._children = d.children;
-						d._children.forEach(collapse);
-						d.children = null;
-					}
-				}
-				
-				hieararchy.children.forEach(collapse);
-			}
-			// Let anyone know we have just prepped data (themes, etc may need to adjust settings)
-			
-			dataIsDirty = false;
-			refreshNeeded = false;
-			//scope.selection.selectAll('.vz-weighted_tree-node').remove();
-		}
+		// Entering and exiting branches have no nodes at either end, so they start out with no width.  The canvas
+		// renderer tweens the widths itself.
+		var widths = link.widths || ((link.source.data && link.target.data) ? linkWidths(link) : [0, 0]);
+		var w0 = widths[0], w1 = widths[1];
 		
-		//We dynamically size based on how many first level nodes we have
-		var scale;
-		if (scope.maxNodeRadius == -1) {
-			scale = size.height / scope.children(scope.data).length;
-		}
-		else {
-			scale = scope.maxNodeRadius;
-		}
+		var left = [], right = [];
 		
-		if (scope.verticalPadding == -1) {
-			tree.nodeSize([scale, 0]);
-		}
-		else {
-			tree.nodeSize([scope.verticalPadding, 0]);
+		for (var i = 0; i <= 16; i++) {
+			var u = i / 16, v = 1 - u;
+			var x = v * v * v * p[0][0] + 3 * v * v * u * p[1][0] + 3 * v * u * u * p[2][0] + u * u * u * p[3][0];
+			var y = v * v * v * p[0][1] + 3 * v * v * u * p[1][1] + 3 * v * u * u * p[2][1] + u * u * u * p[3][1];
+			var dx = 3 * v * v * (p[1][0] - p[0][0]) + 6 * v * u * (p[2][0] - p[1][0]) + 3 * u * u * (p[3][0] - p[2][0]);
+			var dy = 3 * v * v * (p[1][1] - p[0][1]) + 6 * v * u * (p[2][1] - p[1][1]) + 3 * u * u * (p[3][1] - p[2][1]);
+			var length = Math.sqrt(dx * dx + dy * dy) || 1;
+			var w = (w0 + (w1 - w0) * u) / 2;
+			left.push([x - dy / length * w, y + dx / length * w]);
+			right.unshift([x + dy / length * w, y - dx / length * w]);
 		}
 		
-		nodeScale.range([1.5, scale / 2]);
+		left.concat(right).forEach(function (point, i) {
+			if (i == 0) path.moveTo(point[0], point[1]);
+			else path.lineTo(point[0], point[1]);
+		});
+		path.closePath();
+	}
+	
+	// Curved branches are cubic curves with both control points at the middle depth, as drawn by d3.linkHorizontal,
+	// d3.linkVertical and d3.linkRadial.
+	function linkCurve(link) {
+		var s = link.source, t = link.target;
+		var depth = (s.y + t.y) / 2;
+		return [linkPoint(s), linkPoint({x: s.x, y: depth}), linkPoint({x: t.x, y: depth}), linkPoint(t)];
+	}
+	
+	// Point halfway along the branch leading into a node.
+	function linkMidpoint(link) {
 		
-		depthSpan = (scope.horizontalPadding > 0) ? scope.horizontalPadding : size.width / (maxDepth + 1);
+		var s = link.source, t = link.target;
 		
-		//Set max/min values
-		for (var i = 1; i < maxDepth + 1; i++) {
-			var vals = nodes.filter(function (d) {
-				return d.depth == i
-			});
-			maxValues[i] = d3.max(vals, function (d) {
-				return scope.value(d.data)
-			});
-			minValues[i] = d3.min(vals, function (d) {
-				return scope.value(d.data)
-			});
+		if (scope.linkShape == 'straight') {
+			var a = linkPoint(s), b = linkPoint(t);
+			return [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
 		}
 		
-		cx = size.left;
-		cy = size.top + size.height / 2;
-		
-		// Tell everyone we are done making our measurements
-		scope.dispatch.apply('measure', this);
+		if (scope.linkShape == 'elbow') return linkPoint({x: (s.x + t.x) / 2, y: (s.y + t.y) / 2});
 		
+		var p = linkCurve(link);
+		return [(p[0][0] + 3 * p[1][0] + 3 * p[2][0] + p[3][0]) / 8, (p[0][1] + 3 * p[1][1] + 3 * p[2][1] + p[3][1]) / 8];
 	}
 	
-	// Re sorts and measures tree layout based on current data hiearachy.
-	// Should be called from *viz.update(true)* whenever data structure has changed
-	function refreshData() {
-		
-		function setChildren(node) {
-			if (scope.children(node)) {
-				if (!node._children) {
-					node.children = scope.children(node);
-					node.children.forEach(function (d) {
-						//Set these from parent node
-						d.x0 = node.x;
-						d.y0 = node.y;
-						setChildren(d);
-					});
-				}
-			}
+	// Converts a layout position into a point within the link plot, which radial trees center on the origin.
+	function linkPoint(d) {
+		if (scope.layout == 'radial') {
+			return [d.y * Math.sin(d.x), -d.y * Math.cos(d.x)];
 		}
+		return nodePoint(d);
+	}
+	
+	// Sets the domain of a size scale according to the *radiusScaleMode* and returns the scaled value of a node.
+	// Sizes are measured as the distance from the baseline, so negative values are drawn at their absolute size.
+	function scaleSize(scale, node, value, minimums, maximums, extent) {
 		
-		maxDepth = 0;
-		setChildren(scope.data);
+		var size = function (data) {
+			return magnitude(value(data));
+		};
 		
-		root = scope.data;
-		root.x0 = 0;
-		root.y0 = 0;
+		if (scope.radiusScaleMode == 'global') {
+			scale.domain(extent);
+			return scale(size(node.data));
+		}
 		
-		hieararchy = d3.hierarchy(root, scope.children);
+		if (scope.radiusScaleMode == 'relative-to-parent') {
+			// Parents without a value of their own are treated as the total of their children.
+			var total = size(node.parent.data);
+			if (!(total > 0)) total = d3.sum(scope.children(node.parent.data) || [], size);
+			scale.domain([0, 1]);
+			return scale(Math.min(1, size(node.data) / total));
+		}
+		
+		scale.domain([minimums[node.depth], maximums[node.depth]]);
+		return scale(size(node.data));
+	}
+	
+	function magnitude(value) {
+		return Math.abs(value - scope.baseline);
+	}
+	
+	function isNegative(d) {
+		return nodeValueOf(d.data) < scope.baseline;
+	}
+	
+	function isBaseline(d) {
+		return nodeValueOf(d.data) == scope.baseline;
+	}
+	
+	// Formats a value with an explicit sign relative to the baseline.  Positive values only get a '+' when the data
+	// has values on both sides of the baseline.
+	function formatSigned(value) {
+		if (value === undefined || value === null || isNaN(value)) return '-';
+		var sign = (value > scope.baseline && value > 0 && valueExtent[0] < scope.baseline) ? '+' : '';
+		var text = sign + scope.valueFormatter(value);
+		if (scope.baseline != 0) {
+			var difference = value - scope.baseline;
+			text += ' (' + (difference > 0 ? '+' : '') + scope.valueFormatter(difference) + ' vs. baseline)';
+		}
+		return text;
+	}
+	
+	// "More" nodes aren't in the data, so they carry their own label.
+	function labelOf(data) {
+		return data.vz_more ? data.vz_label : scope.label(data);
+	}
+	
+	// The "more" nodes that stand in for children beyond the *maxVisibleChildren* aren't in the data, so they carry
+	// their own key and value.
+	function keyOf(data) {
+		return data.vz_more ? data.vz_tree_id : scope.key(data);
+	}
+	
+	function nodeValueOf(data) {
+		if (data.vz_more) return data.vz_more_total;
+		return scope.nodeValue ? scope.nodeValue(data) : valueOf(data);
+	}
+	
+	// The rolled up value of a parent node, or the node's own value.
+	function valueOf(data) {
+		if (data.vz_more) return data.vz_more_total;
+		var rolled = (isGhost(data) ? compareRollupValues : rollupValues)[keyOf(data)];
+		return (rolled === undefined) ? scope.value(data) : rolled;
+	}
+	
+	// Value of a node within *compareData*, or undefined if the node isn't there.
+	function compareValueOf(data) {
+		var before = compareNodes[keyOf(data)];
+		if (!before) return undefined;
+		if (scope.nodeValue) return scope.nodeValue(before);
+		var rolled = compareRollupValues[keyOf(data)];
+		return (rolled === undefined) ? scope.value(before) : rolled;
+	}
+	
+	// Ghosts are the nodes of *compareData* that are no longer in the data.
+	function isGhost(data) {
+		var key = keyOf(data);
+		return compareNodes[key] === data && currentNodes[key] !== data;
+	}
+	
+	// How a node differs from *compareData* - 'added', 'removed', 'modified' or null if it hasn't changed.
+	function changeOf(data) {
+		if (!scope.compareData || data.vz_more) return null;
+		if (isGhost(data)) return 'removed';
+		if (!compareNodes[keyOf(data)]) return 'added';
+		return (nodeValueOf(data) != compareValueOf(data)) ? 'modified' : null;
+	}
+	
+	// Added nodes count as a 100% increase and removed nodes as a 100% decrease.
+	function percentChange(data) {
+		var change = changeOf(data);
+		if (change == 'added') return 1;
+		if (change == 'removed') return -1;
+		if (change == null) return 0;
+		var before = compareValueOf(data);
+		var difference = nodeValueOf(data) - before;
+		return before ? difference / Math.abs(before) : (difference > 0 ? 1 : -1);
+	}
+	
+	function changeColor(d) {
+		return changeScale
+		 .range([viz.getStyle('compare-decrease-color'), viz.getStyle('compare-unchanged-color'), viz.getStyle('compare-increase-color')])
+		 (percentChange(d.data));
+	}
+	
+	// Changed nodes get a ring sized to their value within *compareData*.
+	function ringRadius(d) {
+		if (d.depth == 0 || changeOf(d.data) != 'modified') return 0;
+		var r = scaleSize(nodeScale, d, compareValueOf, minValues, maxValues, globalValues);
+		return isNaN(r) ? 0 : r;
+	}
+	
+	// Converts a layout position (x = breadth or angle, y = depth or radius) into an [x, y] point within the plot.
+	function nodePoint(d) {
+		if (scope.layout == 'radial') {
+			return [cx + d.y * Math.sin(d.x), cy - d.y * Math.cos(d.x)];
+		}
+		return isVertical() ? [d.x, d.y] : [d.y, d.x];
+	}
+	
+	function isVertical() {
+		return scope.orientation == 'top-down' || scope.orientation == 'bottom-up';
+	}
+	
+	// Reversed trees grow toward the left or top of the chart.
+	function isReversed() {
+		return scope.orientation == 'right-left' || scope.orientation == 'bottom-up';
+	}
+	
+	function ariaLabel(d) {
+		var change = changeOf(d.data);
+		return labelOf(d.data) + ', ' + formatSigned(valueOf(d.data)) + (change ? ', ' + change : '');
+	}
+	
+	function nodeTransform(d) {
+		var p = nodePoint(d);
+		return 'translate(' + p[0] + ',' + p[1] + ')';
+	}
+	
+	// Where the label of a node sits relative to the node, and which end of the label is anchored there.  Labels sit to
+	// the outside of leaf nodes and the inside of parent nodes.
+	function labelPosition(d) {
+		
+		var parent = !!(d.children || d._children);
+		var sign = isReversed() ? -1 : 1;
+		
+		if (labelInside(d)) {
+			return {x: 0, y: 0, anchor: 'middle'};
+		}
+		
+		if (scope.layout == 'radial') {
+			var outside = (d.x < Math.PI) === !parent;
+			return {x: outside ? 10 : -10, y: 0, anchor: outside ? 'start' : 'end'};
+		}
+		
+		// Parent labels sit above (top-down) or below (bottom-up) their node, leaf labels on the other side.
+		if (isVertical()) {
+			return {x: 0, y: (parent ? -14 : 14) * sign, anchor: 'middle'};
+		}
+		
+		return {x: (parent ? -10 : 10) * sign, y: 0, anchor: parent !== isReversed() ? 'end' : 'start'};
+	}
+	
+	function positionLabels(text) {
+		text
+		 .each(function (d) {
+			 var p = labelPosition(d);
+			 d3.select(this)
+			  .attr('x', p.x)
+			  .attr('y', p.y || null)
+			  .attr('text-anchor', p.anchor);
+		 })
+		 .attr('transform', labelTransform);
+	}
+	
+	// Radial labels are rotated to read outward.  Labels that avoid collisions are also nudged out of the way and kept
+	// the same size on screen, whatever the zoom.
+	function labelTransform(d) {
+		
+		var transform = [];
+		
+		if (isRotated(d)) {
+			transform.push('rotate(' + labelAngle(d) * 180 / Math.PI + ')');
+		}
+		
+		if (scope.labelCollision != 'none') {
+			transform.push('scale(' + (1 / d3.zoomTransform(background.node()).k) + ')');
+			if (labelShifts[keyOf(d.data)]) transform.push('translate(0,' + labelShifts[keyOf(d.data)] + ')');
+		}
+		
+		return transform.length > 0 ? transform.join(' ') : null;
+	}
+	
+	function isRotated(d) {
+		return scope.layout == 'radial' && d.depth > 0 && !labelInside(d);
+	}
+	
+	// Angle of a rotated label in radians.  Labels on the left half are flipped so they are never upside down.
+	function labelAngle(d) {
+		return (d.x < Math.PI ? d.x : d.x + Math.PI) - Math.PI / 2;
+	}
+	
+	// Wraps and truncates labels to the *labelMaxWidth* and *labelMaxLines*, keeping each block of lines beside its node.
+	function wrapLabels(text) {
+		
+		if (scope.labelMaxWidth <= 0 || scope.renderer != 'svg') return;
+		
+		text.each(function (d) {
+			
+			var label = d3.select(this);
+			var y = Number(label.attr('y')) || 0;
+			
+			vizuly2.svg.text.wrap(label, labelOf(d.data), fontSize, scope.labelMaxWidth, scope.labelMaxLines);
+			
+			// Vertical trees stack the extra lines away from the node, the others (and cards) center them on it.
+			var lines = label.selectAll('tspan').size();
+			var shift = (scope.layout != 'radial' && isVertical() && !labelInside(d)) ? (y < 0 ? -lines * fontSize : 0) : -lines * fontSize / 2;
+			label.attr('y', y + shift);
+			label.selectAll('tspan').attr('y', y + shift);
+		});
+	}
+	
+	// Measures each visible label in screen pixels and, starting with the shallowest and largest nodes, hides (or for
+	// 'shift', first tries to nudge) any label that overlaps one already placed.  Placed labels are kept in a grid of
+	// screen cells so each label is only tested against its neighbours, and labels outside the view are left alone
+	// until a zoom brings them in.
+	function arrangeLabels() {
+		
+		labelShifts = {};
+		hiddenLabels = {};
+		
+		var text = nodePlot.selectAll('.vz-weighted_tree-node > text');
+		
+		if (scope.labelCollision != 'none' && hieararchy) {
+			
+			var t = d3.zoomTransform(background.node());
+			
+			// The svg renderer measures the text elements, which may have wrapped onto more lines.
+			var elements = {};
+			text.each(function (d) {
+				elements[d.data.vz_tree_id] = this;
+			});
+			
+			var labels = hieararchy.descendants().sort(function (a, b) {
+				return (a.depth - b.depth) || (b.r - a.r);
+			});
+			
+			var grid = {};
+			var cellSize = 64;
+			var offsets = (scope.labelCollision == 'shift') ? [0, -1, 1, -2, 2] : [0];
+			
+			// Calls back with the grid cell of each part of the screen a box covers.
+			function eachCell(box, callback) {
+				for (var col = Math.floor(box.x0 / cellSize); col <= Math.floor(box.x1 / cellSize); col++) {
+					for (var row = Math.floor(box.y0 / cellSize); row <= Math.floor(box.y1 / cellSize); row++) {
+						callback(grid[col + ',' + row] || (grid[col + ',' + row] = []));
+					}
+				}
+			}
+			
+			function overlaps(box) {
+				var found = false;
+				eachCell(box, function (cell) {
+					found = found || cell.some(function (other) {
+						return box.x0 < other.x1 && box.x1 > other.x0 && box.y0 < other.y1 && box.y1 > other.y0;
+					});
+				});
+				return found;
+			}
+			
+			labels.forEach(function (d) {
+				
+				var box = labelBox(d, labelMetrics(d, elements[d.data.vz_tree_id]), t);
+				var height = box.height;
+				
+				// Leave room for the furthest a label can be nudged into view.
+				var bounds = shiftBox(box, d, 0);
+				var slack = height * 2;
+				if (bounds.x1 < -slack || bounds.x0 > scope.width + slack || bounds.y1 < -slack || bounds.y0 > scope.height + slack) return;
+				
+				for (var i = 0; i < offsets.length; i++) {
+					var shift = offsets[i] * height;
+					var candidate = shiftBox(box, d, shift);
+					if (!overlaps(candidate)) {
+						if (shift) labelShifts[keyOf(d.data)] = shift;
+						eachCell(candidate, function (cell) {
+							cell.push(candidate);
+						});
+						return;
+					}
+				}
+				
+				hiddenLabels[d.data.vz_tree_id] = true;
+			});
+		}
+		
+		text
+		 .style('visibility', function (d) { return hiddenLabels[d.data.vz_tree_id] ? 'hidden' : null })
+		 .attr('transform', labelTransform);
+		
+		redraw();
+	}
+	
+	// Position, font size, width and number of lines of a node's label.  The svg renderer reads them from the label's
+	// element, and the canvas renderer works them out from the label itself.
+	function labelMetrics(d, element) {
+		
+		var size;
+		
+		if (element) {
+			var label = d3.select(element);
+			size = styleNumber(label, 'font-size', fontSize);
+			return {
+				x: Number(label.attr('x')) || 0,
+				y: Number(label.attr('y')) || 0,
+				anchor: label.attr('text-anchor'),
+				size: size,
+				width: labelWidth(element, size),
+				lines: lineCount(element)
+			};
+		}
+		
+		var p = labelPosition(d);
+		size = labelFontSize(d);
+		return {x: p.x, y: p.y, anchor: p.anchor, size: size, width: textWidth(labelOf(d.data), size), lines: 1};
+	}
+	
+	// Screen bounds of a label at the given zoom transform, along with the height of one line.
+	function labelBox(d, label, t) {
+		
+		var x = label.x;
+		var y = label.y - label.size / 2;
+		if (label.anchor == 'end') x -= label.width;
+		else if (label.anchor == 'middle') x -= label.width / 2;
+		
+		var p = nodePoint(d);
+		return {
+			x: p[0] * t.k + t.x,
+			y: p[1] * t.k + t.y,
+			angle: isRotated(d) ? labelAngle(d) : 0,
+			left: x,
+			top: y,
+			width: label.width,
+			height: label.lines * label.size
+		};
+	}
+	
+	// Moves a label box along its own vertical axis and returns its axis aligned bounds.
+	function shiftBox(box, d, shift) {
+		
+		var corners = [[box.left, box.top + shift], [box.left + box.width, box.top + shift],
+			[box.left, box.top + shift + box.height], [box.left + box.width, box.top + shift + box.height]];
+		
+		var cos = Math.cos(box.angle), sin = Math.sin(box.angle);
+		var x = corners.map(function (c) { return box.x + c[0] * cos - c[1] * sin });
+		var y = corners.map(function (c) { return box.y + c[0] * sin + c[1] * cos });
+		
+		return {x0: d3.min(x), x1: d3.max(x), y0: d3.min(y), y1: d3.max(y)};
+	}
+	
+	// Width of the widest line of a label.  Labels that haven't been rendered yet can't be measured, so we estimate their
+	// width from the number of characters.
+	function labelWidth(element, size) {
+		
+		if (element.getComputedTextLength && element.getComputedTextLength() > 0) {
+			// The first line is the text of the label itself, so it is whatever the tspans don't account for.
+			var lengths = d3.select(element).selectAll('tspan').nodes().map(function (tspan) { return tspan.getComputedTextLength() });
+			return Math.max(element.getComputedTextLength() - d3.sum(lengths), d3.max(lengths) || 0);
+		}
+		
+		return element.textContent.length * size * .6;
+	}
+	
+	// Number of lines a label has been wrapped onto.
+	function lineCount(element) {
+		return d3.select(element).selectAll('tspan').size() + 1;
+	}
+	
+	function labelFontSize(d) {
+		return parseFloat(viz.getStyle('font-size', [d])) || fontSize;
+	}
+	
+	// Name of the built in shape a node is drawn with.
+	function shapeOf(d) {
+		if (d.data.vz_more) return 'circle';
+		var shape = (typeof scope.nodeShape == 'function') ? scope.nodeShape(d.data) : scope.nodeShape;
+		return nodeRenderers[shape] ? shape : 'circle';
+	}
+	
+	// Cards hold their label, where every other shape has it alongside.
+	function labelInside(d) {
+		return !scope.nodeRenderer && shapeOf(d) == 'card';
+	}
+	
+	// Cards are at least two node radii tall and four wide, and grow to fit their label.
+	function cardSize(d, width, lines) {
+		return [Math.max(d.r * 4, width + fontSize), Math.max(d.r * 2, (lines + .5) * fontSize)];
+	}
+	
+	// Width and height of the shape a node is drawn with.
+	function shapeBounds(d, group) {
+		if (!labelInside(d)) return [d.r * 2, d.r * 2];
+		var text = group.select('text').node();
+		return cardSize(d, labelWidth(text, fontSize), lineCount(text));
+	}
+	
+	// Returns the element of a node with the given class, swapping it for a new one when it isn't the given tag.  New
+	// elements go in beneath the label and start out with the given attributes, so they grow into place.
+	function nodePart(selection, tag, className, attributes) {
+		
+		var part = selection.select('.' + className);
+		if (!part.empty() && part.node().localName == tag) return part;
+		
+		part.remove();
+		part = selection.insert(tag, '.vz-weighted_tree-node-ring').attr('class', className);
+		Object.keys(attributes).forEach(function (name) {
+			part.attr(name, attributes[name]);
+		});
+		
+		return part;
+	}
+	
+	// Draws each node with the *nodeRenderer*, or its built in shape, followed by its badge.
+	function renderNodes(node, duration) {
+		
+		node.each(function (d) {
+			var group = d3.select(this);
+			var shape = scope.nodeRenderer ? 'custom' : shapeOf(d);
+			
+			// A node that changes shape starts over with new elements.
+			if (group.attr('data-shape') != shape) {
+				group.selectAll('.vz-weighted_tree-node-shape, .vz-weighted_tree-node-image, .vz-weighted_tree-node-icon').remove();
+				group.attr('data-shape', shape);
+			}
+			
+			(scope.nodeRenderer || nodeRenderers[shape])(group, d, duration);
+		});
+		
+		renderBadges(node, duration);
+	}
+	
+	// The *nodeBadge* of a node.  "More" nodes aren't in the data, so they don't have one.
+	function badgeOf(d) {
+		return (scope.nodeBadge && !d.data.vz_more) ? scope.nodeBadge(d.data) : null;
+	}
+	
+	// Shows the *nodeBadge* of each node as a pill over the top right of its shape.
+	function renderBadges(node, duration) {
+		
+		node.each(function (d) {
+			
+			var group = d3.select(this);
+			var value = badgeOf(d);
+			var badge = group.select('.vz-weighted_tree-node-badge');
+			
+			if (value == null || value === '') {
+				badge.remove();
+				return;
+			}
+			
+			if (badge.empty()) {
+				badge = group.append('g')
+				 .attr('class', 'vz-weighted_tree-node-badge')
+				 .attr('transform', 'translate(0,0)')
+				 .style('pointer-events', 'none');
+				badge.append('rect');
+				badge.append('text').attr('dy', '.35em').attr('text-anchor', 'middle');
+			}
+			
+			var text = String(value);
+			var size = badgeSize(d, text);
+			
+			badge.select('text').text(text);
+			badge.select('rect')
+			 .attr('x', -size.width / 2)
+			 .attr('y', -size.height / 2)
+			 .attr('width', size.width)
+			 .attr('height', size.height)
+			 .attr('rx', size.height / 2);
+			
+			// Badges sit on the top right corner of a card, or of the largest square within a circle.
+			var bounds = labelInside(d) ? shapeBounds(d, group) : [d.r * Math.SQRT2, d.r * Math.SQRT2];
+			badge.transition('shape')
+			 .duration(duration)
+			 .attr('transform', 'translate(' + bounds[0] / 2 + ',' + -bounds[1] / 2 + ')');
+		});
+	}
+	
+	// Font size and pill size of a badge.  Badges are wide enough for their text, and round when it is short.
+	function badgeSize(d, text) {
+		var size = parseFloat(viz.getStyle('badge-font-size', [d])) || fontSize;
+		return {size: size, width: Math.max(size + 4, text.length * size * .6 + 6), height: size + 4};
+	}
+	
+	//These are all d3.selection objects we use to insert and update svg elements into
+	var svg, g, background, plot, plotBackground, linkPlot, linkLabelPlot, nodePlot, defs;
+	var canvas, hitTarget, legend, sizeLegend;
+	var minimap, minimapBackground, minimapLinks, minimapNodes, minimapViewport;
+	var zoomControls;
+	
+	var minimapTransform = {kx: 1, ky: 1, x: 0, y: 0};   // Maps plot coordinates into the minimap
+	var minimapBounds = [[0, 0], [0, 0]];               // Extent of the visible nodes in plot coordinates
+	
+	
+	// This is called once at initial object creation and sets up the appropriate SVG container elements.
+	function initialize() {
+		
+		viz.defaultStyles(styles);
+		
+		scope.selection.attr('class', 'vz-weighted_tree-viz');
+		svg = scope.selection.append('svg').attr('id', scope.id).style('overflow', 'hidden').attr('class', 'vizuly vz-weighted_tree-viz');
+		defs = vizuly2.core.util.getDefs(viz);
+		background = svg.append('rect').attr('class', 'vz-background').style('fill', '#FFF').style('fill-opacity', 0.001);
+		g = svg.append('g').attr('class', 'vz-weighted_tree-viz');
+		plot = g.append('g').attr('class', 'vz-weighted_tree-plot');
+		plotBackground = plot.append('rect').attr('class', 'vz-plot-background');
+		defs.append('pattern')
+		 .attr('id', hatchId())
+		 .attr('class', 'vz-weighted_tree-hatch')
+		 .attr('patternUnits', 'userSpaceOnUse')
+		 .attr('width', 6)
+		 .attr('height', 6)
+		 .attr('patternTransform', 'rotate(45)')
+		 .append('line')
+		 .attr('x1', 0).attr('y1', 0).attr('x2', 0).attr('y2', 6)
+		 .style('stroke-width', 3);
+		defs.append('clipPath')
+		 .attr('id', clipId())
+		 .attr('clipPathUnits', 'objectBoundingBox')
+		 .append('circle')
+		 .attr('cx', .5).attr('cy', .5).attr('r', .5);
+		
+		legend = svg.append('g').attr('class', 'vz-weighted_tree-legend');
+		sizeLegend = svg.append('g').attr('class', 'vz-weighted_tree-size-legend');
+		
+		// The minimap sits over the chart in its own svg so it stays in the corner when the tree scrolls.
+		minimap = scope.selection.append('svg')
+		 .attr('class', 'vz-weighted_tree-minimap')
+		 .style('position', 'absolute')
+		 .style('display', 'none');
+		minimapBackground = minimap.append('rect').attr('class', 'vz-weighted_tree-minimap-background');
+		minimapLinks = minimap.append('g').attr('class', 'vz-weighted_tree-minimap-links');
+		minimapNodes = minimap.append('g').attr('class', 'vz-weighted_tree-minimap-nodes');
+		minimapViewport = minimap.append('rect')
+		 .attr('class', 'vz-weighted_tree-minimap-viewport')
+		 .style('cursor', 'move')
+		 .call(d3.drag().on('drag', onMinimapDrag));
+		
+		// Zoom buttons are html buttons so they can be reached from the keyboard.
+		zoomControls = scope.selection.append('div')
+		 .attr('class', 'vz-weighted_tree-zoom-controls')
+		 .style('position', 'absolute')
+		 .style('display', 'none');
+		
+		zoomControls.selectAll('button')
+		 .data([
+			 {label: '+', title: 'Zoom in', action: function () { viz.zoomIn() }},
+			 {label: '\u2212', title: 'Zoom out', action: function () { viz.zoomOut() }},
+			 {label: '\u2922', title: 'Fit to view', action: function () { viz.fitToView() }}
+		 ])
+		 .enter().append('button')
+		 .attr('type', 'button')
+		 .attr('class', 'vz-weighted_tree-zoom-button')
+		 .attr('title', function (d) { return d.title })
+		 .attr('aria-label', function (d) { return d.title })
+		 .style('display', 'block')
+		 .style('width', '24px')
+		 .style('height', '24px')
+		 .style('margin-bottom', '2px')
+		 .style('padding', '0')
+		 .style('cursor', 'pointer')
+		 .text(function (d) { return d.label })
+		 .on('click', function (d) { d.action() });
+		
+		scope.selection.on('scroll.minimap', function () {
+			positionMinimap();
+			positionZoomControls();
+			updateMinimapViewport();
+		});
+		
+		createScene();
+		
+		if (scope.useZoom) zoom.on('zoom', onZoom).on('start', onZoomStart).on('end', onZoomEnd);
+		
+		background.call(zoom);
+		
+		// Tell everyone we are done initializing
+		scope.dispatch.apply('initialize', this);
+	}
+	
+	// Id of the hatch pattern used to fill negative nodes.
+	function hatchId() {
+		return 'vz_weighted_tree_hatch_' + scope.id;
+	}
+	
+	// Id of the clip path that rounds the photos of 'image' nodes.
+	function clipId() {
+		return 'vz_weighted_tree_clip_' + scope.id;
+	}
+	
+	// Id given to the path of a branch, so its label can run along it.
+	function linkId(n) {
+		return 'vz_weighted_tree_link_' + scope.id + '_' + n;
+	}
+	
+	// Creates the containers that links and nodes are rendered into.  The canvas renderer draws straight from the
+	// layout, so its containers stay empty.
+	function createScene() {
+		
+		if (linkPlot) linkPlot.remove();
+		if (linkLabelPlot) linkLabelPlot.remove();
+		if (nodePlot) nodePlot.remove();
+		
+		quadtree = null;
+		hoverNode = null;
+		canvasNodes = [];
+		canvasLinks = [];
+		
+		if (drawTimer) {
+			drawTimer.stop();
+			drawTimer = null;
+		}
+		
+		if (scope.renderer == 'canvas') {
+			
+			if (!canvas) {
+				canvas = scope.selection.insert('canvas', ':first-child')
+				 .attr('class', 'vz-weighted_tree-canvas')
+				 .style('position', 'absolute')
+				 .style('left', '0px')
+				 .style('top', '0px')
+				 .style('pointer-events', 'none');
+				
+				// Stands in for the node element when we fire events, so data tips and callbacks have something to measure.
+				hitTarget = plot.append('circle')
+				 .attr('class', 'vz-weighted_tree-hit-target')
+				 .style('fill', 'none')
+				 .style('pointer-events', 'none');
+			}
+			
+			canvas.style('display', null);
+			if (scope.selection.style('position') == 'static') scope.selection.style('position', 'relative');
+			svg.style('position', 'relative');
+			
+			// The background catches all mouse events, which we hit test against the nodes drawn on the canvas.
+			background
+			 .on('mousemove.canvas', onCanvasMouseMove)
+			 .on('mouseout.canvas', onCanvasMouseOut)
+			 .on('click.canvas', function () { onCanvasEvent('click') })
+			 .on('dblclick.canvas', function () { onCanvasEvent('dblclick') });
+		}
+		else {
+			if (canvas) canvas.style('display', 'none');
+			svg.style('position', null);
+			background.on('.canvas', null).style('cursor', null);
+		}
+		
+		linkPlot = plot.append('g').attr('class', 'vz-weighted_tree-link-plot').attr('aria-hidden', 'true');
+		linkLabelPlot = plot.append('g').attr('class', 'vz-weighted_tree-link-label-plot').attr('aria-hidden', 'true');
+		nodePlot = plot.append('g').attr('class', 'vz-weighted_tree-node-plot').attr('role', 'tree');
+	}
+	
+	
+	// This function performs any measurement or layout calcuations prior to making any updates to the SVG element
+	function measure() {
+		
+		// Call our validate routine and make sure all component properties have been set
+		viz.validate();
+		
+		// Get our size based on height, width, and margin
+		size = vizuly2.core.util.size(scope.margin, scope.width, scope.height);
+		
+		// Set size of tree
+		tree.size([size.width, size.height]);
+		
+		measureCompare();
+		
+		// Each time the data changes we need to prep data and other settings for tree layout
+		if (dataIsDirty == true || refreshNeeded) {
+			
+			refreshData();
+			
+			if (dataIsDirty == true) {
+				function collapse(d) {
+					if (d.children) {
+						d._children = d.children;
+						d._children.forEach(collapse);
+						d.children = null;
+					}
+				}
+				
+				hieararchy.children.forEach(collapse);
+			}
+			
+			// Re-apply any state that was handed to us before the hierarchy was (re)built
+			if (pendingState) {
+				applyState(pendingState);
+				pendingState = null;
+			}
+			
+			// Search results point at the old hierarchy nodes, so they no longer apply
+			search(null);
+			
+			// Nodes that are gone from the new data can't stay selected, and the path highlight moves to the new hierarchy
+			setSelection(knownKeys(selectedKeys));
+			pathNode = pathNode ? findNode(keyOf(pathNode.data)) : null;
+			// Let anyone know we have just prepped data (themes, etc may need to adjust settings)
+			
+			dataIsDirty = false;
+			refreshNeeded = false;
+			//scope.selection.selectAll('.vz-weighted_tree-node').remove();
+		}
+		
+		if (hieararchy) placeGhosts(hieararchy);
+		
+		measureRollup();
+		
+		arrangeNodes();
+		
+		//Set max/min values
+		measureValues();
+		
+		//We dynamically size based on how many first level nodes we have
+		var scale;
+		
+		if (scope.layout == 'radial') {
+			
+			radius = Math.min(size.width, size.height) / 2;
+			depthSpan = (scope.horizontalPadding > 0) ? scope.horizontalPadding : radius / Math.max(maxDepth, 1);
+			
+			// Radial trees use the full circle, so we let the layout size the angles for us
+			tree.size([2 * Math.PI, radius])
+			 .separation(function (a, b) {
+				 return (a.parent == b.parent ? 1 : 2) / a.depth;
+			 });
+			
+			if (scope.maxNodeRadius == -1) {
+				scale = Math.min(depthSpan, 2 * Math.PI * depthSpan / scope.children(scope.data).length);
+			}
+			else {
+				scale = scope.maxNodeRadius;
+			}
+			
+			diagonal = d3.linkRadial()
+			 .angle(function (d) {
+				 return d.x
+			 })
+			 .radius(function (d) {
+				 return d.y
+			 });
+			
+			cx = size.left + size.width / 2;
+			cy = size.top + size.height / 2;
+		}
+		else {
+			
+			// Vertical trees swap which dimension (and padding) is used for breadth and depth.
+			var vertical = isVertical();
+			var breadthSize = vertical ? size.width : size.height;
+			var breadthPadding = vertical ? scope.horizontalPadding : scope.verticalPadding;
+			var depthPadding = vertical ? scope.verticalPadding : scope.horizontalPadding;
+			
+			if (scope.maxNodeRadius == -1) {
+				scale = breadthSize / scope.children(scope.data).length;
+			}
+			else {
+				scale = scope.maxNodeRadius;
+			}
+			
+			tree.separation(function (a, b) {
+				return a.parent == b.parent ? 1 : 2;
+			});
+			
+			if (breadthPadding == -1) {
+				tree.nodeSize([scale, 0]);
+			}
+			else {
+				tree.nodeSize([breadthPadding, 0]);
+			}
+			
+			depthSpan = (depthPadding > 0) ? depthPadding : (vertical ? size.height : size.width) / (maxDepth + 1);
+			
+			// Links follow our node points, so both generators just need to use the same projection.
+			diagonal = (vertical ? d3.linkVertical() : d3.linkHorizontal())
+			 .x(function (d) {
+				 return nodePoint(d)[0]
+			 })
+			 .y(function (d) {
+				 return nodePoint(d)[1]
+			 });
+			
+			if (vertical) {
+				cx = size.left + size.width / 2;
+				cy = isReversed() ? size.top + size.height : size.top;
+			}
+			else {
+				cx = isReversed() ? size.left + size.width : size.left;
+				cy = size.top + size.height / 2;
+			}
+		}
+		
+		nodeScale.range([1.5, scale / 2]);
+		linkScale.range(nodeScale.range());
+		
+		// Tell everyone we are done making our measurements
+		scope.dispatch.apply('measure', this);
+		
+	}
+	
+	// Rolls leaf values up to their ancestors with vizuly2.core.util.aggregateNest.  We hand it a shadow copy of the
+	// hierarchy so the aggregation properties it adds never end up on the source data.
+	function measureRollup() {
+		rollupValues = scope.rollup ? rollupOf(scope.data) : {};
+		compareRollupValues = (scope.rollup && scope.compareData) ? rollupOf(scope.compareData) : {};
+	}
+	
+	// Returns the rolled up value of each parent node below (and including) the given data, by key.
+	function rollupOf(data) {
+		
+		var values = {};
+		var custom = (typeof scope.rollup == 'function');
+		var calculation = custom ? scope.rollup : rollupCalculations[scope.rollup];
+		var properties = (scope.rollup == 'mean') ? ['sum', 'count'] : ['value'];
+		
+		// aggregateNest starts each parent at 0 unless it already holds a number, so min and max need a head start.
+		var seed = (scope.rollup == 'min') ? Infinity : (scope.rollup == 'max') ? -Infinity : NaN;
+		
+		function shadow(data) {
+			var node = {data: data};
+			var children = scope.children(data);
+			if (children && children.length > 0) {
+				node.values = children.map(shadow);
+				properties.forEach(function (property) {
+					node['agg_' + property] = seed;
+				});
+			}
+			else {
+				node.value = (scope.rollup == 'count') ? 1 : scope.value(data);
+				node.sum = scope.value(data);
+				node.count = 1;
+			}
+			return node;
+		}
+		
+		function collect(node) {
+			if (!node.values) return;
+			values[keyOf(node.data)] = (scope.rollup == 'mean') ? node.agg_sum / node.agg_count : node.agg_value;
+			node.values.forEach(collect);
+		}
+		
+		var nest = [shadow(data)];
+		vizuly2.core.util.aggregateNest(nest, properties, calculation);
+		collect(nest[0]);
+		
+		return values;
+	}
+	
+	// Indexes the nodes of the data and *compareData* by key, and finds the children that were removed from each
+	// compared node.
+	function measureCompare() {
+		
+		currentNodes = {};
+		compareNodes = {};
+		removedChildren = {};
+		
+		function index(data, nodes) {
+			nodes[keyOf(data)] = data;
+			(scope.children(data) || []).forEach(function (child) {
+				index(child, nodes);
+			});
+		}
+		
+		index(scope.data, currentNodes);
+		
+		if (!scope.compareData) return;
+		
+		index(scope.compareData, compareNodes);
+		
+		d3.values(compareNodes).forEach(function (data) {
+			var removed = (scope.children(data) || []).filter(function (child) {
+				return !currentNodes[keyOf(child)];
+			});
+			if (removed.length > 0) removedChildren[keyOf(data)] = removed;
+		});
+	}
+	
+	// Keeps the ghosts within the hierarchy in step with *compareData* - ghosts that no longer apply are dropped and
+	// those that are missing are added to their parent, leaving the rest of the tree as it is.
+	function placeGhosts(d) {
+		
+		var ghosts = removedChildren[keyOf(d.data)] || [];
+		var placed = [];
+		
+		['children', '_children', '_filtered', '_overflow'].forEach(function (list) {
+			if (!d[list]) return;
+			d[list] = d[list].filter(function (child) {
+				var current = currentNodes[keyOf(child.data)] === child.data || child.data.vz_more;
+				if (!current && ghosts.indexOf(child.data) == -1) return false;
+				placed.push(child.data);
+				return true;
+			});
+			if (d[list].length > 0) return;
+			d[list] = null;
+			// A branch left open on nothing but ghosts stays open for the children the filter may show again.
+			if (list == 'children') d._expanded = true;
+		});
+		
+		ghosts.forEach(function (data) {
+			if (placed.indexOf(data) > -1) return;
+			var ghost = createBranch(data, d);
+			if (d.children) d.children.push(ghost);
+			else d._children = (d._children || []).concat([ghost]);
+		});
+		
+		(d.children || []).concat(d._children || [], d._filtered || [], d._overflow || []).forEach(placeGhosts);
+	}
+	
+	// Orders the children of each node with the *sort* property and hides those that fail the *filter* property.
+	// Hidden children are kept in *_filtered* so they can come back when the filter changes, and children beyond the
+	// *maxVisibleChildren* are kept in *_overflow* behind a "more" node.
+	function arrangeNodes() {
+		
+		var comparator = (typeof scope.sort == 'string') ? sortPresets[scope.sort] : scope.sort;
+		
+		function arrange(d) {
+			
+			// A node whose children are all hidden has nowhere to show if it is expanded, so it keeps that in *_expanded*.
+			var children = (d.children || d._children || []).concat(d._filtered || [], d._overflow || []);
+			var expanded = (d.children || d._children) ? !!d.children : !!d._expanded;
+			
+			var more = children.filter(function (child) { return child.data.vz_more })[0];
+			children = children.filter(function (child) { return !child.data.vz_more });
+			
+			if (comparator) {
+				children.sort(comparator);
+			}
+			else {
+				// Put children back in the order they appear in the data.
+				var order = {};
+				(treeChildrenOf(d.data) || []).forEach(function (child, i) {
+					order[keyOf(child)] = i;
+				});
+				children.sort(function (a, b) {
+					return order[keyOf(a.data)] - order[keyOf(b.data)];
+				});
+			}
+			
+			var visible = [];
+			var hidden = [];
+			children.forEach(function (child) {
+				if (arrange(child)) visible.push(child); else hidden.push(child);
+			});
+			
+			d._filtered = (hidden.length > 0) ? hidden : null;
+			d._overflow = null;
+			
+			// Keep the largest children, in their sorted order, and let the "more" node stand in for the rest.
+			var limit = visibleLimit(d);
+			if (limit > 0 && visible.length > limit) {
+				var largest = visible.slice().sort(function (a, b) {
+					return nodeValueOf(b.data) - nodeValueOf(a.data);
+				}).slice(0, limit);
+				d._overflow = visible.filter(function (child) { return largest.indexOf(child) == -1 });
+				visible = visible.filter(function (child) { return largest.indexOf(child) > -1 });
+				visible.push(moreNode(d, more));
+			}
+			
+			d.children = (expanded && visible.length > 0) ? visible : null;
+			d._children = (!expanded && visible.length > 0) ? visible : null;
+			d._expanded = expanded && visible.length == 0 && hidden.length > 0;
+			
+			return passesFilter(d) || visible.length > 0;
+		}
+		
+		if (hieararchy) arrange(hieararchy);
+	}
+	
+	// Number of children a node shows, which grows each time its "more" node is clicked.
+	function visibleLimit(d) {
+		if (scope.maxVisibleChildren <= 0) return -1;
+		return visibleChildren[keyOf(d.data)] || scope.maxVisibleChildren;
+	}
+	
+	// Updates (or creates) the "more" node of a parent with the number and total value of the children it stands in for.
+	function moreNode(d, more) {
+		
+		if (!more) {
+			more = createBranch({vz_more: true, vz_tree_id: 'vz_more_' + keyOf(d.data)}, d);
+		}
+		
+		var total = d3.sum(d._overflow, function (child) { return nodeValueOf(child.data) });
+		
+		more.data.vz_more_count = d._overflow.length;
+		more.data.vz_more_total = total;
+		more.data.vz_link_color = d.data.vz_link_color;
+		more.data.vz_label = '+' + d._overflow.length + ' more (total ' + scope.valueFormatter(total) + ')';
+		
+		return more;
+	}
+	
+	// Shows the next batch of the children a "more" node stands in for, or all of them.
+	function showMore(more, all) {
+		
+		var d = more.parent;
+		var key = keyOf(d.data);
+		
+		visibleChildren[key] = all ? Infinity : visibleLimit(d) + scope.maxVisibleChildren;
+		
+		measure();
+		updateNode(d, 0);
+	}
+	
+	// Nodes are shown when they pass the *filter* property and, in compare mode, the *compareFilter* property.
+	function passesFilter(d) {
+		if (scope.filter && !scope.filter(d.data)) return false;
+		if (!scope.compareData || scope.compareFilter == 'all') return true;
+		var change = changeOf(d.data);
+		return (scope.compareFilter == 'changed') ? change != null : change == scope.compareFilter;
+	}
+	
+	// Finds the min and max value of each depth across all nodes, including those hidden in collapsed branches or
+	// loaded on demand after the data was first prepped, and the *compareData* values of changed nodes.
+	function measureValues() {
+		
+		var values = [];
+		var signedValues = [];
+		var linkValues = [];
+		var colorValues = [];
+		var changes = [];
+		
+		eachNode(hieararchy, function (d) {
+			if (d.data.vz_more) return;
+			if (scope.colorValue) colorValues.push(scope.colorValue(d.data));
+			if (changeOf(d.data) == 'modified') changes.push(Math.abs(percentChange(d.data)));
+			if (d.depth == 0) return;
+			if (!values[d.depth]) values[d.depth] = [];
+			if (!linkValues[d.depth]) linkValues[d.depth] = [];
+			values[d.depth].push(magnitude(nodeValueOf(d.data)));
+			// Changed nodes are ringed at their *compareData* value, which has to fall within the scale as well.
+			if (changeOf(d.data) == 'modified') values[d.depth].push(magnitude(compareValueOf(d.data)));
+			signedValues.push(nodeValueOf(d.data));
+			if (scope.linkValue) linkValues[d.depth].push(magnitude(scope.linkValue(d.data)));
+		});
+		
+		maxDepth = Math.max(maxDepth, values.length - 1);
+		
+		for (var i = 1; i < maxDepth + 1; i++) {
+			maxValues[i] = d3.max(values[i] || []);
+			minValues[i] = d3.min(values[i] || []);
+			maxLinkValues[i] = d3.max(linkValues[i] || []);
+			minLinkValues[i] = d3.min(linkValues[i] || []);
+		}
+		
+		globalValues = [d3.min(d3.values(minValues)), d3.max(d3.values(maxValues))];
+		globalLinkValues = [d3.min(d3.values(minLinkValues)), d3.max(d3.values(maxLinkValues))];
+		valueExtent = d3.extent(signedValues);
+		
+		// Branch colors run to full strength at the largest change.
+		var maxChange = d3.max(changes) || 1;
+		changeScale.domain([-maxChange, 0, maxChange]);
+		
+		// Diverging scales keep the baseline at their midpoint.
+		if (scope.colorValue && scope.autoColorDomain) {
+			var extent = d3.extent(colorValues);
+			if (scope.colorScale.domain().length == 3) {
+				scope.colorScale.domain([Math.min(extent[0], scope.baseline), scope.baseline, Math.max(extent[1], scope.baseline)]);
+			}
+			else {
+				scope.colorScale.domain(extent);
+			}
+		}
+	}
+	
+	// Re sorts and measures tree layout based on current data hiearachy.
+	// Should be called from *viz.update(true)* whenever data structure has changed
+	function refreshData() {
+		
+		function setChildren(node) {
+			if (scope.children(node)) {
+				if (!node._children) {
+					node.children = scope.children(node);
+					node.children.forEach(function (d) {
+						//Set these from parent node
+						d.x0 = node.x;
+						d.y0 = node.y;
+						setChildren(d);
+					});
+				}
+			}
+		}
+		
+		maxDepth = 0;
+		setChildren(scope.data);
+		
+		root = scope.data;
+		root.x0 = 0;
+		root.y0 = 0;
+		
+		hieararchy = d3.hierarchy(root, treeChildrenOf);
+		
+		nodes = tree(hieararchy).descendants();
+		
+		nodes.forEach(function (node) {
+			if (node.depth == 0) return;
+			if (!maxValues[node.depth]) {
+				maxValues[node.depth] = -Infinity;
+				minValues[node.depth] = Infinity;
+			}
+			maxDepth = Math.max(maxDepth, node.depth)
+		})
+		scope.dispatch.apply('data_prepped', this);
+	}
+	
+	// Children of a node as drawn in the tree, which in compare mode includes the ghosts of any removed children.
+	function treeChildrenOf(data) {
+		var removed = removedChildren[keyOf(data)];
+		if (isGhost(data)) return removed;
+		return removed ? (scope.children(data) || []).concat(removed) : scope.children(data);
+	}
+	
+	function onDataChanged() {
+		dataIsDirty = true;
+		
+	}
+	
+	
+	// The update function is the primary function that is called when we want to render the visualiation based on
+	// all of its set properties.  A developer can change properties of the components and it will not show on the screen
+	// until the update function is called
+	function update(refresh) {
+		
+		// Call measure each time before we update to make sure all our our layout properties are set correctly
+		measure();
+		
+		// Layout all of our primary SVG d3.elements.
+		svg.attr('width', scope.width).attr('height', scope.height);
+		background.attr('width', scope.width).attr('height', scope.height);
+		plot.style('width', size.width).style('height', size.height);
+		
+		updateLegend();
+		updateSizeLegend();
+		
+		// We make a call to render the root node
+		updateNode(root);
+		
+	}
+	
+	// Draws a strip of color swatches across the domain of the color scale, labeled at each end (and at zero for diverging scales).
+	function updateLegend() {
+		
+		legend.selectAll('*').remove();
+		
+		if (!scope.colorValue || !scope.showLegend) return;
+		
+		var domain = scope.colorScale.domain();
+		var min = domain[0];
+		var max = domain[domain.length - 1];
+		var steps = 40;
+		var legendWidth = 160;
+		var legendHeight = 10;
+		
+		var position = d3.scaleLinear().domain([min, max]).range([0, legendWidth]);
+		
+		legend.attr('transform', 'translate(' + (size.left + size.width - legendWidth) + ',' + Math.max(5, size.top / 2 - legendHeight) + ')');
+		
+		legend.selectAll('.vz-weighted_tree-legend-swatch')
+		 .data(d3.range(steps))
+		 .enter().append('rect')
+		 .attr('class', 'vz-weighted_tree-legend-swatch')
+		 .attr('x', function (i) { return i * legendWidth / steps })
+		 .attr('width', legendWidth / steps + .5)
+		 .attr('height', legendHeight)
+		 .style('fill', function (i) { return scope.colorScale(min + (max - min) * (i + .5) / steps) });
+		
+		var ticks = (domain.length == 3) ? domain : [min, max];
+		
+		legend.selectAll('.vz-weighted_tree-legend-label')
+		 .data(ticks)
+		 .enter().append('text')
+		 .attr('class', 'vz-weighted_tree-legend-label')
+		 .attr('x', function (d) { return position(d) })
+		 .attr('y', legendHeight)
+		 .attr('dy', '1.2em')
+		 .attr('text-anchor', function (d, i) { return (i == 0) ? 'start' : (i == ticks.length - 1) ? 'end' : 'middle' })
+		 .text(function (d) { return scope.valueFormatter(d) });
+	}
+	
+	// Draws nested circles for a few sample sizes, with a caption that explains what node size is compared against.
+	function updateSizeLegend() {
+		
+		sizeLegend.selectAll('*').remove();
+		
+		if (!scope.showSizeLegend) return;
+		
+		var samples, caption;
+		
+		if (scope.radiusScaleMode == 'global') {
+			nodeScale.domain(globalValues);
+			samples = [globalValues[1], (globalValues[0] + globalValues[1]) / 2, globalValues[0]].map(function (value) {
+				return {r: nodeScale(value), label: scope.valueFormatter(value)};
+			});
+			caption = 'Size compares every node in the tree';
+		}
+		else if (scope.radiusScaleMode == 'relative-to-parent') {
+			nodeScale.domain([0, 1]);
+			samples = [1, .5, .25].map(function (share) {
+				return {r: nodeScale(share), label: Math.round(share * 100) + '% of parent'};
+			});
+			caption = 'Size shows each node\'s share of its parent';
+		}
+		else {
+			samples = [
+				{r: nodeScale.range()[1], label: 'Largest on its level'},
+				{r: nodeScale.range()[0], label: 'Smallest on its level'}
+			];
+			caption = 'Size compares nodes on the same level';
+		}
+		
+		var maxRadius = d3.max(samples, function (d) { return d.r }) || 0;
+		var labelWidth = 120;
+		
+		// Circles sit on a common baseline, each with a leader line out to its label.
+		sizeLegend.attr('transform', 'translate(' + (size.left + size.width - maxRadius * 2 - labelWidth) + ',' + (scope.height - Math.max(24, size.bottom)) + ')');
+		
+		var sample = sizeLegend.selectAll('.vz-weighted_tree-size-legend-sample')
+		 .data(samples)
+		 .enter().append('g')
+		 .attr('class', 'vz-weighted_tree-size-legend-sample');
+		
+		sample.append('circle')
+		 .attr('cx', maxRadius)
+		 .attr('cy', function (d) { return -d.r })
+		 .attr('r', function (d) { return d.r });
+		
+		sample.append('line')
+		 .attr('x1', maxRadius)
+		 .attr('x2', maxRadius * 2 + 6)
+		 .attr('y1', function (d) { return -d.r * 2 })
+		 .attr('y2', function (d) { return -d.r * 2 });
+		
+		sample.append('text')
+		 .attr('class', 'vz-weighted_tree-legend-label')
+		 .attr('x', maxRadius * 2 + 8)
+		 .attr('y', function (d) { return -d.r * 2 })
+		 .attr('dy', '.35em')
+		 .text(function (d) { return d.label });
+		
+		sizeLegend.append('text')
+		 .attr('class', 'vz-weighted_tree-legend-label')
+		 .attr('y', 4)
+		 .attr('dy', '1em')
+		 .text(caption);
+	}
+	
+	
+	// This function takes a given node and expands its children within the tree.  It gets called each time a user toggles a node.
+	function updateNode(rootNode, duration) {
+		
+		if (!duration) duration = scope.duration;
+		
+		var nodes = tree(hieararchy).descendants();
+		
+		// Compute the new tree layout.
+		var links = hieararchy.links();
+		
+		updateTreeSize(rootNode, nodes);
+		
+		var visible = {};
+		nodes.forEach(function (d) {
+			visible[d.data.vz_tree_id || (d.data.vz_tree_id = keyOf(d.data))] = true;
+		});
+		
+		// Entering and exiting nodes grow out of and collapse into the node being toggled.  When the whole tree is
+		// updated (i.e. after a sort or filter change) they use their closest ancestor that stays on screen.
+		function origin(d) {
+			if (rootNode instanceof d3.hierarchy) return rootNode;
+			var p = d.parent;
+			while (p && !visible[p.data.vz_tree_id]) p = p.parent;
+			return (p && p.x0 != null) ? p : rootNode;
+		}
+		
+		if (scope.renderer == 'canvas') {
+			updateCanvas(nodes, links, origin, duration);
+			return;
+		}
+		
+		// Update the nodes…
+		var node = nodePlot.selectAll('.vz-weighted_tree-node')
+		 .data(nodes, function (d) {
+			 return d.data.vz_tree_id;
+		 });
+		
+		// Enter any new nodes at the parent's previous position.
+		var nodeEnter = node.enter().append('g')
+		 .attr('class', function (d) {
+			 return 'vz-weighted_tree-node vz-id-' + d.data.vz_tree_id;
+		 })
+		 .attr('transform', function (d) {
+			 var y = d.y0 ? d.y0 : origin(d).y0;
+			 var x = d.x0 ? d.x0 : origin(d).x0;
+			 return nodeTransform({x: x, y: y});
+		 })
+		 .style('outline', 'none')
+		 .on('click', function (d, i) {
+			 onNodeClick(this, d, i);
+		 })
+		 .on('keydown', function (d, i) {
+			 onNodeKeyDown(this, d, i);
+		 })
+		 .on('focus', function (d, i) {
+			 focusedKey = keyOf(d.data);
+			 updateTabIndex();
+			 scope.dispatch.apply('focus', viz, [this, d, i])
+		 })
+		 .on('blur', function (d, i) {
+			 scope.dispatch.apply('blur', viz, [this, d, i])
+		 })
+		 .on('dblclick', function (d, i) {
+			 onNodeDblClick(this, d, i);
+		 })
+		 .on('mouseover', function (d, i) {
+			 scope.dispatch.apply('mouseover', viz, [this, d, i])
+		 })
+		 .on('mouseout', function (d, i) {
+			 scope.dispatch.apply('mouseout', viz, [this, d, i])
+		 });
+		
+		nodeEnter.append('circle')
+		 .attr('class', 'vz-weighted_tree-node-ring')
+		 .attr('r', 0)
+		 .style('pointer-events', 'none');
+		
+		nodeEnter.append('text')
+		 .attr('dy', '.35em')
+		 .style('pointer-events', 'none');
+		
+		// If the focused node is about to be removed, hand focus to the node that was collapsed.
+		var focusLost = false;
+		node.exit().each(function () {
+			if (this == document.activeElement) focusLost = true;
+		});
+		
+		// Transition exiting nodes to the parent's new position.
+		var nodeExit = node.exit().transition()
+		 .duration(duration)
+		 .attr('transform', function (d) {
+			 d.x0 = null;
+			 d.y0 = null;
+			 return nodeTransform(origin(d));
+		 })
+		 .remove();
+		
+		// Shapes shrink away into the parent and the parts drawn over them fade out.
+		nodeExit.select('circle.vz-weighted_tree-node-shape')
+		 .attr('r', 1e-6);
+		
+		nodeExit.selectAll('rect.vz-weighted_tree-node-shape, .vz-weighted_tree-node-image, .vz-weighted_tree-node-icon')
+		 .attr('x', 0)
+		 .attr('y', 0)
+		 .attr('width', 0)
+		 .attr('height', 0);
+		
+		nodeExit.select('.vz-weighted_tree-node-ring')
+		 .attr('r', 0);
+		
+		nodeExit.selectAll('.vz-weighted_tree-node-badge, .vz-weighted_tree-node-toggle')
+		 .style('opacity', 0);
+		
+		node = nodeEnter.merge(node);
+		
+		node.select('text')
+		 .text(function (d) {
+			 return labelOf(d.data)
+		 });
+		
+		positionLabels(node.select('text'));
+		wrapLabels(node.select('text'));
+		arrangeLabels();
+		renderNodes(node, duration);
+		renderToggles(node, duration);
+		
+		node.select('.vz-weighted_tree-node-shape')
+		 .style('cursor', function (d) {
+			 return (scope.selectionMode != 'none' || d.children || d._children || canLoadChildren(d)) ? 'pointer' : 'auto'
+		 });
+		
+		// Describe each node to assistive technology.
+		node
+		 .attr('role', 'treeitem')
+		 .attr('aria-level', function (d) {
+			 return d.depth + 1;
+		 })
+		 .attr('aria-setsize', function (d) {
+			 return d.parent ? d.parent.children.length : 1;
+		 })
+		 .attr('aria-posinset', function (d) {
+			 return d.parent ? d.parent.children.indexOf(d) + 1 : 1;
+		 })
+		 .attr('aria-expanded', function (d) {
+			 if (d.children) return 'true';
+			 return (d._children || canLoadChildren(d)) ? 'false' : null;
+		 })
+		 .attr('aria-label', ariaLabel);
+		
+		updateTabIndex();
+		updateSelection();
+		
+		if (focusLost && nodes.indexOf(rootNode) > -1) focusNode(rootNode);
+		
+		if (scope.draggable && scope.renderer == 'svg') {
+			node.call(drag);
+		}
+		else {
+			node.on('.drag', null);
+		}
+		
+		// Radial links are drawn around the origin, so we move their container to the center of the tree.
+		linkPlot.attr('transform', scope.layout == 'radial' ? 'translate(' + cx + ',' + cy + ')' : null);
+		
+		// Update the links…
+		var link = linkPlot.selectAll('.vz-weighted_tree-link')
+		 .data(links, function (d) {
+			 return d.target.data.vz_tree_id;
+		 });
+		
+		// Enter any new links at the parent's previous position.
+		var linkEnter = link.enter().append('path')
+		 .attr('class', function (d) {
+			 return 'vz-weighted_tree-link vz-id-' + d.target.data.vz_tree_id;
+		 })
+		 .attr('d', function (d) {
+			 var y = d.target.y0 ? d.target.y0 : origin(d.target).y0;
+			 var x = d.target.x0 ? d.target.x0 : origin(d.target).x0;
+			 var o = {x: x, y: y};
+			 return linkPath({source: o, target: o});
+		 })
+		 .style('stroke-linecap', 'round')
+		 .style('pointer-events', 'none');
+		
+		
+		// Transition exiting nodes to the parent's new position.
+		link.exit().transition()
+		 .duration(duration)
+		 .attr('d', function (d) {
+			 var o = {x: origin(d.target).x, y: origin(d.target).y};
+			 return linkPath({source: o, target: o});
+		 })
+		 .remove();
+		
+		link = linkEnter.merge(link);
+		
+		// Labels that run along their branch need the id of its path.
+		var linkIds = {};
+		link.each(function (d) {
+			if (!this.id) this.id = linkId(++linkCount);
+			linkIds[d.target.data.vz_tree_id] = this.id;
+		});
+		
+		linkLabelPlot.attr('transform', linkPlot.attr('transform'));
+		
+		// Update the branch labels…
+		var linkLabel = linkLabelPlot.selectAll('.vz-weighted_tree-link-label')
+		 .data(scope.linkLabel ? links.filter(function (d) { return !d.target.data.vz_more }) : [], function (d) {
+			 return d.target.data.vz_tree_id;
+		 });
+		
+		var linkLabelEnter = linkLabel.enter().append('text')
+		 .attr('class', 'vz-weighted_tree-link-label')
+		 .attr('dy', '.35em')
+		 .attr('text-anchor', 'middle')
+		 .attr('transform', function (d) {
+			 var y = d.target.y0 ? d.target.y0 : origin(d.target).y0;
+			 var x = d.target.x0 ? d.target.x0 : origin(d.target).x0;
+			 return 'translate(' + linkPoint({x: x, y: y}) + ')';
+		 })
+		 .style('pointer-events', 'none');
+		
+		linkLabel.exit().transition()
+		 .duration(duration)
+		 .attr('transform', function (d) {
+			 return 'translate(' + linkPoint(origin(d.target)) + ')';
+		 })
+		 .remove();
+		
+		linkLabel = linkLabelEnter.merge(linkLabel);
+		
+		var alongPath = scope.linkLabelPosition == 'path' && scope.renderer == 'svg';
+		
+		linkLabel.each(function (d) {
+			var label = d3.select(this).text(null);
+			if (alongPath) {
+				label.append('textPath')
+				 .attr('href', '#' + linkIds[d.target.data.vz_tree_id])
+				 .attr('startOffset', '50%')
+				 .text(scope.linkLabel(d.target.data));
+			}
+			else {
+				label.text(scope.linkLabel(d.target.data));
+			}
+		});
+		
+		updateMinimap();
+		updateZoomExtent();
+		positionZoomControls();
+		
+		//Before we fire transition we hit update so any external styles can take effect before we transition.
+		scope.dispatch.apply('update', this);
+		
+		// Transition nodes to their new position.
+		var nodeUpdate = node.transition().duration(duration);
+		
+		endUpdate(nodeUpdate, function () {
+			redraw();
+			scope.dispatch.apply('node_refresh', viz)
+		});
+		
+		nodeUpdate
+		 .attr('transform', nodeTransform);
+		
+		nodeUpdate.select('.vz-weighted_tree-node-ring')
+		 .attr('r', ringRadius);
+		
+		
+		// Transition links to their new position.
+		link.transition()
+		 .duration(duration)
+		 .attr('d', function (d) {
+			 return linkPath(d);
+		 })
+		 .style('stroke-width', function (d) {
+			 return (scope.linkShape == 'tapered' ? 0 : linkWidth(d)) + 'px';
+		 });
+		
+		linkLabel.transition()
+		 .duration(duration)
+		 .attr('transform', function (d) {
+			 return alongPath ? null : 'translate(' + linkMidpoint(d) + ')';
+		 });
+		
+		// Stash the old positions for transition.
+		nodes.forEach(function (d) {
+			d.x0 = d.x;
+			d.y0 = d.y;
+		});
+		
+	}
+	
+	// The canvas renderer's version of the rest of updateNode().  Each node and link is given a tween from wherever it
+	// is drawn now to its new place in the layout, and drawCanvas() follows the tweens each frame.  Nodes and links that
+	// are leaving shrink into their origin before they are dropped.
+	function updateCanvas(nodes, links, origin, duration) {
+		
+		tweenCanvas(d3.now());
+		
+		var drawn = {};
+		canvasNodes.forEach(function (item) {
+			drawn[item.node.data.vz_tree_id] = item;
+		});
+		
+		var drawnLinks = {};
+		canvasLinks.forEach(function (item) {
+			drawnLinks[item.link.target.data.vz_tree_id] = item;
+		});
+		
+		var visible = {};
+		
+		canvasNodes = nodes.map(function (d, i) {
+			var id = d.data.vz_tree_id;
+			var from = drawn[id] ? drawn[id].at : {
+				x: d.x0 ? d.x0 : origin(d).x0,
+				y: d.y0 ? d.y0 : origin(d).y0,
+				r: 0,
+				k: 0
+			};
+			visible[id] = true;
+			return canvasItem({node: d, index: i}, from, {x: d.x, y: d.y, r: d.r, k: 1});
+		});
+		
+		canvasLinks = links.map(function (d, i) {
+			var from = drawnLinks[d.target.data.vz_tree_id];
+			if (from) {
+				from = from.at;
+			}
+			else {
+				var o = {x: d.target.x0 ? d.target.x0 : origin(d.target).x0, y: d.target.y0 ? d.target.y0 : origin(d.target).y0};
+				from = {sx: o.x, sy: o.y, tx: o.x, ty: o.y, w0: 0, w1: 0};
+			}
+			var widths = linkWidths(d);
+			return canvasItem({link: d, index: i}, from, {sx: d.source.x, sy: d.source.y, tx: d.target.x, ty: d.target.y, w0: widths[0], w1: widths[1]});
+		});
+		
+		// Whatever was drawn before and is no longer in the tree collapses into its origin.
+		Object.keys(drawn).forEach(function (id) {
+			if (visible[id]) return;
+			var item = drawn[id], d = item.node;
+			var o = origin(d);
+			d.x0 = null;
+			d.y0 = null;
+			canvasNodes.push(canvasItem({node: d, index: item.index, exiting: true}, item.at, {x: o.x, y: o.y, r: 0, k: 0}));
+			
+			if (drawnLinks[id]) {
+				canvasLinks.push(canvasItem({link: drawnLinks[id].link, index: drawnLinks[id].index, exiting: true},
+				 drawnLinks[id].at, {sx: o.x, sy: o.y, tx: o.x, ty: o.y, w0: 0, w1: 0}));
+			}
+		});
+		
+		quadtree = d3.quadtree()
+		 .x(function (item) { return nodePoint(item.node)[0] })
+		 .y(function (item) { return nodePoint(item.node)[1] })
+		 .addAll(canvasNodes.filter(function (item) { return !item.exiting }));
+		hitRadius = d3.max(nodes, function (d) { return d.r });
+		
+		arrangeLabels();
+		updateMinimap();
+		updateZoomExtent();
+		positionZoomControls();
+		
+		scope.dispatch.apply('update', this);
+		
+		drawStart = d3.now();
+		drawDuration = duration;
+		redraw(duration);
+		
+		d3.timeout(function () {
+			scope.dispatch.apply('node_refresh', viz)
+		}, duration);
+		
+		// Stash the old positions for transition.
+		nodes.forEach(function (d) {
+			d.x0 = d.x;
+			d.y0 = d.y;
+		});
+	}
+	
+	// Pairs a node or link drawn on the canvas with a tween between two sets of values.
+	function canvasItem(item, from, to) {
+		item.tween = d3.interpolateObject(from, to);
+		item.at = item.tween(0);
+		return item;
+	}
+	
+	// Moves every node and link drawn on the canvas along its tween to the given time, and drops those that have
+	// finished leaving.
+	function tweenCanvas(time) {
+		
+		var t = (drawDuration > 0) ? d3.easeCubic(Math.min(1, Math.max(0, (time - drawStart) / drawDuration))) : 1;
+		
+		canvasNodes.forEach(function (item) { item.at = item.tween(t) });
+		canvasLinks.forEach(function (item) { item.at = item.tween(t) });
+		
+		if (t == 1) {
+			canvasNodes = canvasNodes.filter(function (item) { return !item.exiting });
+			canvasLinks = canvasLinks.filter(function (item) { return !item.exiting });
+		}
+	}
+	
+	// Repositions nodes according to layout and makes tree bigger with scrolling if it needs to accomodate larger tree
+	function updateTreeSize(rootNode, nodes) {
+		
+		// Radial trees always fit within the chart, so we only need to set the radius of each depth.
+		if (scope.layout == 'radial') {
+			nodes.forEach(function (d) {
+				d.r = nodeRadius(d);
+				d.y = d.depth * depthSpan;
+			});
+			svg.transition().duration(scope.duration).style('height', scope.height + 'px').style('width', scope.width + 'px');
+			return;
+		}
+		
+		// Figure out our total height of current display
+		maxX = -Infinity;
+		maxY = -Infinity;
+		minX = Infinity;
+		minY = Infinity;
+		
+		nodes.forEach(function (d) {
+			d.r = nodeRadius(d);
+			maxX = Math.max(d.x, maxX);
+			maxY = Math.max(d.y, maxY);
+			minX = Math.min(d.x, minX);
+			minY = Math.min(d.y, minY);
+		})
+		
+		if (scope.useZoom && zoom) {
+			var t = d3.zoomTransform(background.node());
+			minY = minY * t.k;
+			maxY = maxY * t.k;
+			maxX = maxX * t.k;
+		}
+		
+		// Breadth runs along the height of horizontal trees and the width of vertical ones.
+		var vertical = isVertical();
+		var breadthSize = vertical ? size.width : size.height;
+		var breadthTotal = vertical ? scope.width : scope.height;
+		var depthTotal = vertical ? scope.height : scope.width;
+		
+		var h = Math.max(breadthTotal, maxX - minX + (vertical ? size.left : size.top));   // calc breadth
+		var w = Math.max(depthTotal, maxY + depthTotal * .2 + (vertical ? size.top : size.left));               // calc depth;
+		
+		
+		// if the span between minY and maxY is less than the total height, but maxY + half the height is MORE than the total height
+		// we need to make the height bigger.  i.e.  If expanded node is below the root node and it expands beyond the bottom of the screen.
+		if (breadthSize / 2 + maxY > h) h = breadthSize / 2 + maxY + tree.nodeSize()[0];
+		svg.transition().duration(scope.duration).style('height', (vertical ? w : h) + 'px').style('width', (vertical ? h : w) + 'px');
+		
+		//Now determine how far above the fold this minY is
+		var offsetY = Math.max(0, -minY - breadthSize / 2) + tree.nodeSize()[0] / 2;
+		
+		var depthOrigin = vertical ? cy : cx;
+		var breadthCenter = vertical ? cx : cy;
+		
+		// Reversed trees with a fixed depth padding may need to push the root further out to keep every level on screen.
+		if (isReversed()) depthOrigin = Math.max(depthOrigin, (vertical ? size.top : size.left) + maxDepth * depthSpan);
+		
+		// Normalize for fixed-depth.
+		nodes.forEach(function (d) {
+			d.y = isReversed() ? depthOrigin - d.depth * depthSpan : d.depth * depthSpan + depthOrigin;
+			
+			//Adjust y position to accomodate offset
+			d.x = d.x + offsetY + breadthCenter - tree.nodeSize()[0];
+		});
+		
+		//Scroll to position of the rootNode node.
+		if (vertical) {
+			scrollLeft(rootNode.x);
+		}
+		else {
+			scrollTop(rootNode.x);
+		}
+	}
+	
+	// Fired after all transitions for tree are complete
+	function endUpdate(transition, callback) {
+		var n = 0;
+		transition
+		 .each(function () {
+			 ++n;
+		 })
+		 .on('end', function () {
+			 if (!--n) callback.apply(this, arguments);
+		 });
+	}
+	
+	
+	// Scrolls to the top measure provided
+	function scrollTop(top) {
+		scope.selection.transition().duration(scope.duration)
+		 .tween('scrolltween', scrollTween('scrollTop', top));
+	}
+	
+	// Scrolls to the left measure provided (used by vertical trees)
+	function scrollLeft(left) {
+		scope.selection.transition().duration(scope.duration)
+		 .tween('scrolltween', scrollTween('scrollLeft', left));
+	}
+	
+	function scrollTween(property, value) {
+		return function () {
+			var i = d3.interpolateNumber(this[property], value);
+			return function (t) {
+				this[property] = i(t);
+			};
+		};
+	}
+	
+	// Keeps drawing the canvas each frame until the given duration has passed, so it follows any running transitions.
+	function redraw(duration) {
+		
+		if (scope.renderer != 'canvas') return;
+		
+		drawUntil = Math.max(drawUntil, d3.now() + (duration || 0));
+		
+		if (!drawTimer) {
+			drawTimer = d3.timer(function () {
+				drawCanvas();
+				if (d3.now() >= drawUntil) {
+					drawTimer.stop();
+					drawTimer = null;
+				}
+			});
+		}
+	}
+	
+	// Paints each link and node where its tween has got to, with the same styles the svg renderer would give it.
+	function drawCanvas() {
+		
+		var width = parseFloat(svg.style('width')) || scope.width;
+		var height = parseFloat(svg.style('height')) || scope.height;
+		var ratio = window.devicePixelRatio || 1;
+		
+		// The svg grows as the tree expands, so the canvas has to grow with it.
+		if (canvas.attr('width') != Math.round(width * ratio) || canvas.attr('height') != Math.round(height * ratio)) {
+			canvas
+			 .attr('width', Math.round(width * ratio))
+			 .attr('height', Math.round(height * ratio))
+			 .style('width', width + 'px')
+			 .style('height', height + 'px');
+		}
+		
+		var context = canvas.node().getContext('2d');
+		context.setTransform(ratio, 0, 0, ratio, 0, 0);
+		context.clearRect(0, 0, width, height);
+		
+		tweenCanvas(d3.now());
+		
+		// Follow the zoom, which may be part way through a zoomToNode transition.
+		var t = d3.zoomTransform(background.node());
+		context.translate(t.x, t.y);
+		context.scale(t.k, t.k);
+		
+		var related = pathRelated();
+		var fontFamily = canvasFont();
+		
+		// Radial links are drawn around the origin, so we move to the center of the tree.
+		context.save();
+		if (scope.layout == 'radial') context.translate(cx, cy);
+		
+		canvasLinks.forEach(function (item) {
+			drawLink(context, item, related);
+		});
+		
+		if (scope.linkLabel) {
+			canvasLinks.forEach(function (item) {
+				drawLinkLabel(context, item, fontFamily);
+			});
+		}
+		
+		context.restore();
+		
+		canvasNodes.forEach(function (item) {
+			drawNode(context, item, related, fontFamily);
+		});
+	}
+	
+	// The link of a canvas item where its tween has got to.
+	function canvasLink(item) {
+		var at = item.at;
+		return {source: {x: at.sx, y: at.sy}, target: {x: at.tx, y: at.ty}, widths: [at.w0, at.w1]};
+	}
+	
+	function drawLink(context, item, related) {
+		
+		var style = linkStyle(item.link, item.index, related);
+		
+		context.beginPath();
+		linkPath(canvasLink(item), context);
+		context.globalAlpha = style.opacity;
+		
+		// Tapered branches are filled with their stroke color, where the other shapes are only stroked.
+		if (scope.linkShape == 'tapered') {
+			context.fillStyle = style.stroke;
+			context.fill();
+		}
+		else if (item.at.w1 > 0) {
+			context.strokeStyle = style.stroke;
+			context.lineWidth = item.at.w1;
+			context.lineCap = 'round';
+			context.stroke();
+		}
+	}
+	
+	function drawLinkLabel(context, item, fontFamily) {
+		
+		if (item.link.target.data.vz_more) return;
+		
+		var text = scope.linkLabel(item.link.target.data);
+		if (text == null || text === '') return;
+		
+		var args = [item.link, item.index];
+		var p = linkMidpoint(canvasLink(item));
+		
+		context.globalAlpha = 1;
+		context.fillStyle = viz.getStyle('link-label-color', args);
+		context.font = parseFloat(viz.getStyle('link-label-font-size', args)) + 'px ' + fontFamily;
+		context.textAlign = 'center';
+		context.textBaseline = 'middle';
+		context.fillText(String(text), p[0], p[1]);
+	}
+	
+	// Draws a node's shape, photo, compare ring, label and badge, grown (or shrunk) to where its tween has got to.
+	function drawNode(context, item, related, fontFamily) {
+		
+		var d = item.node, at = item.at;
+		var style = nodeStyle(d, item.index, related);
+		var shape = scope.nodeRenderer ? 'circle' : shapeOf(d);
+		var label = String(labelOf(d.data));
+		var bounds = [at.r * Math.SQRT2, at.r * Math.SQRT2];
+		var p = nodePoint(at);
+		
+		context.save();
+		context.translate(p[0], p[1]);
+		
+		context.beginPath();
+		if (shape == 'card') {
+			bounds = cardSize(d, textWidth(label, fontSize), 1).map(function (size) { return size * at.k });
+			roundedRect(context, -bounds[0] / 2, -bounds[1] / 2, bounds[0], bounds[1], 4);
+		}
+		else {
+			context.arc(0, 0, Math.max(0, at.r), 0, 2 * Math.PI);
+		}
+		paintShape(context, style, style.opacity);
+		
+		if (shape == 'image' && scope.nodeImage) {
+			drawImage(context, scope.nodeImage(d.data), at.r * .85, style.opacity);
+		}
+		
+		var ring = ringRadius(d) * at.k;
+		if (ring > 0) {
+			context.beginPath();
+			context.arc(0, 0, ring, 0, 2 * Math.PI);
+			paintShape(context, {
+				stroke: viz.getStyle('node-compare-stroke', [d, item.index]),
+				strokeOpacity: 1,
+				strokeWidth: 1,
+				dash: viz.getStyle('node-compare-stroke-dasharray', [d, item.index])
+			}, style.opacity);
+		}
+		
+		if (!hiddenLabels[d.data.vz_tree_id]) {
+			
+			var position = labelPosition(d);
+			
+			context.save();
+			
+			// Follow the label transform the svg renderer would give the label.
+			if (isRotated(d)) context.rotate(labelAngle(d));
+			if (scope.labelCollision != 'none') {
+				var k = d3.zoomTransform(background.node()).k;
+				context.scale(1 / k, 1 / k);
+				context.translate(0, labelShifts[keyOf(d.data)] || 0);
+			}
+			
+			context.globalAlpha = style.opacity * at.k * style.labelOpacity;
+			context.fillStyle = style.labelColor;
+			context.font = style.fontWeight + ' ' + style.fontSize + 'px ' + fontFamily;
+			context.textAlign = {'middle': 'center', 'end': 'end'}[position.anchor] || 'start';
+			context.textBaseline = 'middle';
+			context.fillText(label, position.x, position.y);
+			
+			context.restore();
+		}
+		
+		var value = badgeOf(d);
+		if (value != null && value !== '') {
+			var badge = badgeSize(d, String(value));
+			context.translate(bounds[0] / 2, -bounds[1] / 2);
+			context.beginPath();
+			roundedRect(context, -badge.width / 2, -badge.height / 2, badge.width, badge.height, badge.height / 2);
+			context.globalAlpha = style.opacity * at.k;
+			context.fillStyle = viz.getStyle('badge-fill', [d, item.index]);
+			context.fill();
+			context.fillStyle = viz.getStyle('badge-color', [d, item.index]);
+			context.font = badge.size + 'px ' + fontFamily;
+			context.textAlign = 'center';
+			context.textBaseline = 'middle';
+			context.fillText(String(value), 0, 0);
+		}
+		
+		context.restore();
+	}
+	
+	// Styles of a node drawn on the canvas, layered the way the svg renderer layers them: the node styles, then any
+	// search match, the selection, the path highlight and the node under the mouse.
+	function nodeStyle(d, i, related) {
+		
+		var args = [d, i];
+		var key = keyOf(d.data);
+		
+		var style = {
+			fill: viz.getStyle('node-fill', args),
+			fillOpacity: viz.getStyle('node-fill-opacity', args),
+			stroke: viz.getStyle('node-stroke', args),
+			strokeOpacity: viz.getStyle('node-stroke-opacity', args),
+			strokeWidth: 1,
+			dash: nodeDashArray(d, i),
+			opacity: 1,
+			labelColor: viz.getStyle(d.data.vz_more ? 'more-label-color' : 'label-color', args),
+			labelOpacity: viz.getStyle('text-fill-opacity', args),
+			fontSize: labelFontSize(d),
+			fontWeight: 'normal'
+		};
+		
+		if (searchMatches[key]) {
+			style.stroke = viz.getStyle('node-highlight-stroke', args);
+			style.strokeWidth = (searchResults[searchIndex] == d) ? 3 : 1;
+			style.fill = viz.getStyle('node-highlight-fill', args);
+			style.fillOpacity = viz.getStyle('node-highlight-fill-opacity', args);
+		}
+		
+		if (selectedKeys.indexOf(key) > -1) {
+			style.stroke = viz.getStyle('node-selected-stroke', args);
+			style.strokeWidth = viz.getStyle('node-selected-stroke-width', args);
+			style.fontWeight = viz.getStyle('label-selected-font-weight', args);
+		}
+		
+		if (related && !related[key]) {
+			style.opacity = viz.getStyle('node-dimmed-opacity', args);
+		}
+		
+		if (hoverNode && hoverNode.node == d) {
+			style.fillOpacity = .9;
+			style.fontSize = fontSize * 1.25;
+			style.fontWeight = 'bold';
+		}
+		
+		return style;
+	}
+	
+	// Styles of a link drawn on the canvas, layered like nodeStyle().
+	function linkStyle(l, i, related) {
+		
+		var args = [l, i];
+		var key = keyOf(l.target.data);
+		var style = {stroke: viz.getStyle('link-stroke', args), opacity: viz.getStyle('link-stroke-opacity', args)};
+		
+		if (searchPath[key]) {
+			style.stroke = viz.getStyle('link-highlight-stroke', args);
+			style.opacity = viz.getStyle('link-highlight-stroke-opacity', args);
+		}
+		
+		if (related) {
+			style.stroke = related[key] ? viz.getStyle('link-highlight-stroke', args) : viz.getStyle('link-stroke', args);
+			style.opacity = related[key] ? viz.getStyle('link-highlight-stroke-opacity', args) : viz.getStyle('link-dimmed-opacity', args);
+		}
+		
+		if (hoverNode && hoverNode.node == l.target) {
+			style.opacity = .8;
+		}
+		
+		return style;
+	}
+	
+	// Fills and strokes the current path with the given styles.
+	function paintShape(context, style, opacity) {
+		
+		if (style.fill && style.fill != 'none') {
+			context.globalAlpha = opacity * style.fillOpacity;
+			context.fillStyle = canvasFill(context, style.fill);
+			context.fill();
+		}
 		
-		nodes = tree(hieararchy).descendants();
+		if (style.stroke && style.stroke != 'none') {
+			context.globalAlpha = opacity * style.strokeOpacity;
+			context.strokeStyle = style.stroke;
+			context.lineWidth = style.strokeWidth;
+			context.setLineDash(style.dash ? String(style.dash).split(/[\s,]+/).map(Number) : []);
+			context.stroke();
+			context.setLineDash([]);
+		}
+	}
+	
+	function roundedRect(context, x, y, w, h, rx) {
+		w = Math.max(0, w);
+		h = Math.max(0, h);
+		rx = Math.min(rx, w / 2, h / 2);
+		context.moveTo(x + rx, y);
+		context.arcTo(x + w, y, x + w, y + h, rx);
+		context.arcTo(x + w, y + h, x, y + h, rx);
+		context.arcTo(x, y + h, x, y, rx);
+		context.arcTo(x, y, x + w, y, rx);
+		context.closePath();
+	}
+	
+	// Paints a photo clipped to a circle of the given radius, once it has loaded.
+	function drawImage(context, href, r, opacity) {
 		
-		nodes.forEach(function (node) {
-			if (node.depth == 0) return;
-			if (!maxValues[node.depth]) {
-				maxValues[node.depth] = -Infinity;
-				minValues[node.depth] = Infinity;
+		if (!href || !(r > 0)) return;
+		
+		var img = canvasImages[href];
+		if (!img) {
+			img = canvasImages[href] = new Image();
+			img.onload = function () { redraw() };
+			img.src = href;
+		}
+		if (!img.complete || !img.naturalWidth) return;
+		
+		// Crop the middle of the photo to fill the circle, as the svg 'slice' aspect ratio does.
+		var scale = Math.max(r * 2 / img.naturalWidth, r * 2 / img.naturalHeight);
+		var sw = r * 2 / scale, sh = r * 2 / scale;
+		
+		context.save();
+		context.beginPath();
+		context.arc(0, 0, r, 0, 2 * Math.PI);
+		context.clip();
+		context.globalAlpha = opacity;
+		context.drawImage(img, (img.naturalWidth - sw) / 2, (img.naturalHeight - sh) / 2, sw, sh, -r, -r, r * 2, r * 2);
+		context.restore();
+	}
+	
+	// Canvas can't reference svg patterns, so negative nodes are filled with a tile of hatching in the negative color.
+	function canvasFill(context, fill) {
+		
+		if (fill != 'url(#' + hatchId() + ')') return fill;
+		
+		var color = viz.getStyle('negative-color');
+		if (canvasPatterns[color]) return canvasPatterns[color];
+		
+		var tile = document.createElement('canvas');
+		var tileContext = tile.getContext('2d');
+		tile.width = tile.height = 6;
+		tileContext.strokeStyle = color;
+		tileContext.lineWidth = 3;
+		tileContext.beginPath();
+		tileContext.moveTo(0, tile.height);
+		tileContext.lineTo(tile.width, 0);
+		tileContext.stroke();
+		
+		canvasPatterns[color] = context.createPattern(tile, 'repeat');
+		return canvasPatterns[color];
+	}
+	
+	function canvasFont() {
+		return svg.style('font-family') || 'sans-serif';
+	}
+	
+	// Width of a line of text in the canvas font.  Until there is a canvas we estimate it from the number of characters.
+	function textWidth(text, size) {
+		text = String(text);
+		if (!canvas) return text.length * size * .6;
+		var context = canvas.node().getContext('2d');
+		context.font = size + 'px ' + canvasFont();
+		return context.measureText(text).width;
+	}
+	
+	function styleNumber(selection, name, defaultValue) {
+		var value = parseFloat(selection.style(name));
+		return isNaN(value) ? defaultValue : value;
+	}
+	
+	// Returns the canvas item of the node drawn under a point within the plot, or null if there isn't one.
+	function findNodeAt(point) {
+		if (!quadtree) return null;
+		var item = quadtree.find(point[0], point[1], hitRadius + 2);
+		if (!item) return null;
+		var p = nodePoint(item.node);
+		var distance = Math.sqrt((p[0] - point[0]) * (p[0] - point[0]) + (p[1] - point[1]) * (p[1] - point[1]));
+		return (distance <= Math.max(item.node.r, 3) + 2) ? item : null;
+	}
+	
+	// Handles an event on a node drawn on the canvas the same way as one on a node element.  The hit target stands in
+	// for the element, so data tips and listeners have something to measure.
+	function dispatchNodeEvent(type, item) {
+		
+		var d = item.node;
+		var p = nodePoint(d);
+		var e = hitTarget.attr('cx', p[0]).attr('cy', p[1]).attr('r', d.r).node();
+		
+		if (type == 'click') onNodeClick(e, d, item.index);
+		else if (type == 'dblclick') onNodeDblClick(e, d, item.index);
+		else scope.dispatch.apply(type, viz, [e, d, item.index]);
+	}
+	
+	function onCanvasMouseMove() {
+		var item = findNodeAt(d3.mouse(plot.node()));
+		var d = item ? item.node : null;
+		if (d == (hoverNode ? hoverNode.node : null)) return;
+		if (hoverNode) dispatchNodeEvent('mouseout', hoverNode);
+		hoverNode = item;
+		background.style('cursor', (d && (scope.selectionMode != 'none' || d.children || d._children || canLoadChildren(d))) ? 'pointer' : null);
+		if (item) dispatchNodeEvent('mouseover', item);
+	}
+	
+	function onCanvasMouseOut() {
+		if (hoverNode) dispatchNodeEvent('mouseout', hoverNode);
+		hoverNode = null;
+		background.style('cursor', null);
+	}
+	
+	function onCanvasEvent(type) {
+		var item = findNodeAt(d3.mouse(plot.node()));
+		if (item) dispatchNodeEvent(type, item);
+	}
+	
+	function onZoom() {
+		if (scope.useZoom) {
+			var t = d3.event.transform;
+			plot.attr('transform', 'translate(' + t.x + ',' + t.y + ')scale(' + t.k + ')');
+			// Labels that avoid collisions keep their size on screen, and are rearranged once the zoom ends.
+			if (scope.labelCollision != 'none') nodePlot.selectAll('.vz-weighted_tree-node > text').attr('transform', labelTransform);
+			redraw();
+			updateMinimapViewport();
+			scope.dispatch.apply('zoom', viz);
+		}
+	}
+	
+	function zoomToNode(d) {
+		if (d && scope.useZoom && scope.useZoomToNode) {
+			var scale = d3.zoomTransform(background.node()).k;
+			var p = nodePoint(d);
+			
+			// Leave room for the node's children in whichever direction the tree grows.
+			var offsetX = size.width / 2, offsetY = size.height / 2;
+			if (scope.layout != 'radial') {
+				if (scope.orientation == 'top-down') offsetY = size.height / 4;
+				else if (scope.orientation == 'bottom-up') offsetY = size.height * 3 / 4;
+				else if (scope.orientation == 'right-left') offsetX = size.width * 3 / 4;
+				else offsetX = size.width / 4;
 			}
-			maxDepth = Math.max(maxDepth, node.depth)
-		})
-		scope.dispatch.apply('data_prepped', this);
+			
+			var t = d3.zoomIdentity.translate((-p[0] * scale) + offsetX, (-p[1] * scale) + offsetY).scale(scale)
+			zoomTransition(t, 1000);
+		}
 	}
 	
-	function onDataChanged() {
-		dataIsDirty = true;
+	function onZoomStart() {
+		if (scope.useZoom) scope.dispatch.apply('zoomstart', viz);
+	}
+	
+	function onZoomEnd() {
+		if (scope.useZoom) {
+			arrangeLabels();
+			scope.dispatch.apply('zoomend', viz);
+		}
+	}
+	
+	// Animates the zoom behavior to a new transform, which moves the plot through onZoom() and fires the zoomstart,
+	// zoom and zoomend events along the way.
+	function zoomTransition(t, duration) {
+		background.transition()
+		 .duration(duration === undefined ? scope.duration : duration)
+		 .call(zoom.transform, t);
+	}
+	
+	// Applies the *scaleExtent* and *translateExtent* limits to the zoom behavior.
+	function updateZoomExtent() {
+		
+		zoom.scaleExtent(scope.scaleExtent || [0, Infinity]);
+		
+		if (scope.translateExtent == 'tree') {
+			var bounds = treeBounds();
+			zoom.translateExtent([
+				[bounds[0][0] - scope.width / 2, bounds[0][1] - scope.height / 2],
+				[bounds[1][0] + scope.width / 2, bounds[1][1] + scope.height / 2]
+			]);
+		}
+		else {
+			zoom.translateExtent(scope.translateExtent || [[-Infinity, -Infinity], [Infinity, Infinity]]);
+		}
+	}
+	
+	// Extent of the visible nodes in plot coordinates, as [[x0, y0], [x1, y1]].
+	function treeBounds() {
+		var x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+		hieararchy.descendants().forEach(function (d) {
+			var p = nodePoint(d);
+			var r = d.r || 0;
+			x0 = Math.min(x0, p[0] - r);
+			y0 = Math.min(y0, p[1] - r);
+			x1 = Math.max(x1, p[0] + r);
+			y1 = Math.max(y1, p[1] + r);
+		});
+		return [[x0, y0], [x1, y1]];
+	}
+	
+	// Center of the part of the chart in view, in svg coordinates.
+	function viewCenter() {
+		var container = scope.selection.node();
+		return [container.scrollLeft + scope.width / 2, container.scrollTop + scope.height / 2];
+	}
+	
+	// Scales the tree so every visible node fits within the chart margins, and centers it.
+	function fitToView(duration) {
+		var bounds = treeBounds();
+		var extent = zoom.scaleExtent();
+		var k = Math.min(size.width / Math.max(bounds[1][0] - bounds[0][0], 1), size.height / Math.max(bounds[1][1] - bounds[0][1], 1));
+		k = Math.max(extent[0], Math.min(extent[1], k));
+		centerOn([(bounds[0][0] + bounds[1][0]) / 2, (bounds[0][1] + bounds[1][1]) / 2], k, duration);
+	}
+	
+	// Moves the given point in plot coordinates to the center of the view at scale k.
+	function centerOn(point, k, duration) {
+		var center = viewCenter();
+		zoomTransition(d3.zoomIdentity.translate(center[0] - point[0] * k, center[1] - point[1] * k).scale(k), duration);
+	}
+	
+	// Keeps the zoom buttons in the top left corner of the part of the chart that has been scrolled into view.
+	function positionZoomControls() {
+		if (!scope.showZoomControls || !scope.useZoom) {
+			zoomControls.style('display', 'none');
+			return;
+		}
+		var container = scope.selection.node();
+		if (scope.selection.style('position') == 'static') scope.selection.style('position', 'relative');
+		zoomControls
+		 .style('display', null)
+		 .style('left', (container.scrollLeft + 10) + 'px')
+		 .style('top', (container.scrollTop + 10) + 'px');
+	}
+	
+	function resetZoom() {
+		if (scope.useZoom) {
+			var t = d3.zoomIdentity.translate(0, 0).scale(1)
+			zoom.on('zoom', null);
+			background.call(zoom.transform, t);
+			background.call(zoom);
+			zoom.on('zoom', onZoom);
+			plot.attr('transform', 'translate(0, 0) scale(1)');
+			redraw();
+			updateMinimapViewport();
+		}
+	}
+	
+	// Draws every node and link of the whole tree - including collapsed, filtered and paged branches - as a dot and a
+	// line, scaled to fit within the minimap.  Hidden nodes have no place on the plot, so the minimap lays the tree out
+	// on its own and lines the nodes in view up with the plot to place the viewport rectangle.
+	function updateMinimap() {
+		
+		if (!scope.showMinimap) {
+			minimap.style('display', 'none');
+			return;
+		}
+		
+		var width = scope.minimapSize;
+		var height = Math.round(width * scope.height / scope.width);
+		var padding = 6;
+		
+		var whole = d3.hierarchy(hieararchy, function (d) {
+			return (d.children || d._children || []).concat(d._filtered || [], d._overflow || []).filter(function (child) {
+				return !child.data.vz_more;
+			});
+		});
+		
+		var layout = d3.tree();
+		if (scope.layout == 'radial') {
+			layout.size([2 * Math.PI, 1]).separation(function (a, b) { return (a.parent == b.parent ? 1 : 2) / a.depth });
+		}
+		layout(whole);
+		
+		// Unit positions in the same orientation as the plot.
+		var nodes = whole.descendants();
+		var units = nodes.map(function (n) {
+			if (scope.layout == 'radial') return [n.y * Math.sin(n.x), -n.y * Math.cos(n.x)];
+			var depth = isReversed() ? -n.y : n.y;
+			return isVertical() ? [n.x, depth] : [depth, n.x];
+		});
+		
+		var ux = d3.extent(units, function (p) { return p[0] });
+		var uy = d3.extent(units, function (p) { return p[1] });
+		var kx = (width - padding * 2) / Math.max(ux[1] - ux[0], 1e-6);
+		var ky = (height - padding * 2) / Math.max(uy[1] - uy[0], 1e-6);
+		if (scope.layout == 'radial') kx = ky = Math.min(kx, ky);
+		
+		var points = {};
+		nodes.forEach(function (n, i) {
+			points[keyOf(n.data.data)] = [
+				(width - (ux[1] - ux[0]) * kx) / 2 + (units[i][0] - ux[0]) * kx,
+				(height - (uy[1] - uy[0]) * ky) / 2 + (units[i][1] - uy[0]) * ky
+			];
+		});
+		
+		function point(d) {
+			return points[keyOf(d.data)];
+		}
+		
+		// Fit the extent of the nodes on the plot to the extent of the same nodes in the minimap.
+		var plotted = hieararchy.descendants().filter(function (d) { return points[keyOf(d.data)] });
+		var x = d3.extent(plotted, function (d) { return nodePoint(d)[0] });
+		var y = d3.extent(plotted, function (d) { return nodePoint(d)[1] });
+		var mx = d3.extent(plotted, function (d) { return points[keyOf(d.data)][0] });
+		var my = d3.extent(plotted, function (d) { return points[keyOf(d.data)][1] });
+		var fallback = (width - padding * 2) / scope.width;
+		
+		var scaleX = (x[1] > x[0] && mx[1] > mx[0]) ? (mx[1] - mx[0]) / (x[1] - x[0]) : fallback;
+		var scaleY = (y[1] > y[0] && my[1] > my[0]) ? (my[1] - my[0]) / (y[1] - y[0]) : fallback;
+		minimapTransform = {kx: scaleX, ky: scaleY, x: mx[0] - x[0] * scaleX, y: my[0] - y[0] * scaleY};
+		minimapBounds = [[x[0], y[0]], [x[1], y[1]]];
+		
+		if (scope.selection.style('position') == 'static') scope.selection.style('position', 'relative');
+		
+		minimap.style('display', null).attr('width', width).attr('height', height);
+		minimapBackground.attr('width', width).attr('height', height);
+		
+		var link = minimapLinks.selectAll('.vz-weighted_tree-minimap-link')
+		 .data(whole.links().map(function (l) { return {source: l.source.data, target: l.target.data} }), function (d) {
+			 return keyOf(d.target.data);
+		 });
+		
+		link.exit().remove();
+		
+		link.enter().append('line')
+		 .attr('class', 'vz-weighted_tree-minimap-link')
+		 .merge(link)
+		 .attr('x1', function (d) { return point(d.source)[0] })
+		 .attr('y1', function (d) { return point(d.source)[1] })
+		 .attr('x2', function (d) { return point(d.target)[0] })
+		 .attr('y2', function (d) { return point(d.target)[1] });
+		
+		var node = minimapNodes.selectAll('.vz-weighted_tree-minimap-node')
+		 .data(nodes.map(function (n) { return n.data }), function (d) { return keyOf(d.data) });
+		
+		node.exit().remove();
+		
+		node.enter().append('circle')
+		 .attr('class', 'vz-weighted_tree-minimap-node')
+		 .merge(node)
+		 .attr('cx', function (d) { return point(d)[0] })
+		 .attr('cy', function (d) { return point(d)[1] })
+		 .attr('r', function (d) { return Math.max(1, nodeRadius(d) / nodeScale.range()[1] * 3) });
+		
+		positionMinimap();
+		updateMinimapViewport();
+	}
+	
+	// Keeps the minimap in the bottom left corner of the part of the chart that has been scrolled into view.
+	function positionMinimap() {
+		if (!scope.showMinimap) return;
+		var container = scope.selection.node();
+		minimap
+		 .style('left', (container.scrollLeft + 10) + 'px')
+		 .style('top', (container.scrollTop + scope.height - Number(minimap.attr('height')) - 10) + 'px');
+	}
+	
+	// Outlines the part of the tree that is in view, following the zoom transform and the scroll position.
+	function updateMinimapViewport(duration) {
+		
+		if (!scope.showMinimap) return;
+		
+		var view = viewExtent();
+		var m = minimapTransform;
+		var rect = duration ? minimapViewport.transition().duration(duration) : minimapViewport.interrupt();
+		
+		rect
+		 .attr('x', view[0][0] * m.kx + m.x)
+		 .attr('y', view[0][1] * m.ky + m.y)
+		 .attr('width', (view[1][0] - view[0][0]) * m.kx)
+		 .attr('height', (view[1][1] - view[0][1]) * m.ky);
+	}
+	
+	// The part of the chart in view, in plot coordinates.
+	function viewExtent() {
+		var t = d3.zoomTransform(background.node());
+		var container = scope.selection.node();
+		var left = container.scrollLeft, top = container.scrollTop;
+		return [t.invert([left, top]), t.invert([left + scope.width, top + scope.height])];
+	}
+	
+	// Pans the tree by the distance the viewport rectangle was dragged.  The center of the view can't be dragged any
+	// further past the edge of the tree than it already is, so the tree can't be lost.
+	function onMinimapDrag() {
+		
+		if (!scope.useZoom) return;
+		
+		var view = viewExtent();
+		var center = [(view[0][0] + view[1][0]) / 2, (view[0][1] + view[1][1]) / 2];
+		
+		function limit(delta, i) {
+			var lo = Math.min(minimapBounds[0][i], center[i]);
+			var hi = Math.max(minimapBounds[1][i], center[i]);
+			return Math.max(lo, Math.min(hi, center[i] + delta)) - center[i];
+		}
+		
+		var dx = limit(d3.event.dx / minimapTransform.kx, 0);
+		var dy = limit(d3.event.dy / minimapTransform.ky, 1);
+		
+		background.call(zoom.transform, d3.zoomTransform(background.node()).translate(-dx, -dy));
+	}
+	
+	// Toggles node.
+	function toggleNode(d) {
+		if (canLoadChildren(d)) {
+			loadChildren(d);
+		}
+		else if (d.children) {
+			d._children = d.children;
+			d.children = null;
+			updateNode(d, 0);
+			if (d.parent) zoomToNode(d.parent);
+			scope.dispatch.apply('collapse', viz, [[d]]);
+		} else {
+			d.children = d._children;
+			d._children = null;
+			updateNode(d, 0);
+			if (d.children) {
+				zoomToNode(d);
+				scope.dispatch.apply('expand', viz, [[d]]);
+			}
+		}
+	}
+	
+	function onNodeClick(e, d, i) {
+		
+		var event = d3.event || {};
+		
+		// "More" nodes aren't in the data, so clicking one pages through its parent's children without telling listeners.
+		if (d.data.vz_more) {
+			showMore(d, event.shiftKey);
+			return;
+		}
+		
+		if (scope.selectionMode != 'none') selectNode(d, event.ctrlKey || event.metaKey || event.shiftKey);
+		if (expandsOn() == 'click') toggleNode(d);
+		
+		scope.dispatch.apply('click', viz, [e, d, i])
+	}
+	
+	function onNodeDblClick(e, d, i) {
+		if (d.data.vz_more) return;
+		if (expandsOn() == 'dblclick') toggleNode(d);
+		scope.dispatch.apply('dblclick', viz, [e, d, i])
+	}
+	
+	// The canvas has no expand buttons, so it expands on double click instead.
+	function expandsOn() {
+		return (scope.expandOn == 'button' && scope.renderer != 'svg') ? 'dblclick' : scope.expandOn;
+	}
+	
+	// Clicking a node selects just that node, and in the 'multiple' *selectionMode* a Ctrl, Cmd or Shift click adds it
+	// to (or removes it from) the selection.
+	function selectNode(d, additive) {
+		
+		var key = keyOf(d.data);
+		
+		if (scope.selectionMode == 'multiple' && additive) {
+			setSelection(selectedKeys.indexOf(key) > -1 ?
+			 selectedKeys.filter(function (k) { return k != key }) :
+			 selectedKeys.concat([key]));
+		}
+		else {
+			setSelection([key]);
+		}
+	}
+	
+	// Drops the keys of nodes that aren't in the tree, once there is one, so the selection only holds nodes that exist.
+	function knownKeys(keys) {
+		if (!hieararchy) return keys;
+		var known = {};
+		eachNode(hieararchy, function (d) {
+			if (!d.data.vz_more) known[keyOf(d.data)] = true;
+		});
+		return keys.filter(function (key) { return known[key] });
+	}
+	
+	// Replaces the selection and lets listeners know if it changed.
+	function setSelection(keys) {
+		
+		var previous = selectedKeys;
+		
+		// A single selection keeps only the last key.
+		selectedKeys = (scope.selectionMode == 'multiple') ? keys.slice() : keys.slice(-1);
+		
+		if (selectedKeys.join('\n') == previous.join('\n')) return;
+		
+		updateSelection();
+		scope.dispatch.apply('selection_change', viz, [selectedKeys.slice(), previous]);
+	}
+	
+	// Marks the selected nodes for assistive technology.
+	function updateSelection() {
+		nodePlot
+		 .attr('aria-multiselectable', scope.selectionMode == 'multiple' ? 'true' : null)
+		 .selectAll('.vz-weighted_tree-node')
+		 .attr('aria-selected', function (d) {
+			 if (scope.selectionMode == 'none' || d.data.vz_more) return null;
+			 return selectedKeys.indexOf(keyOf(d.data)) > -1 ? 'true' : 'false';
+		 });
+	}
+	
+	// Draws a +/- button beside each node that has children, in the direction the tree grows, when the *expandOn*
+	// property is 'button'.
+	function renderToggles(node, duration) {
+		
+		var size = fontSize * .6;
+		
+		node.each(function (d) {
+			
+			var group = d3.select(this);
+			var toggle = group.select('.vz-weighted_tree-node-toggle');
+			var expandable = d.children || d._children || canLoadChildren(d);
+			
+			if (expandsOn() != 'button' || !expandable) {
+				toggle.remove();
+				return;
+			}
+			
+			if (toggle.empty()) {
+				toggle = group.append('g')
+				 .attr('class', 'vz-weighted_tree-node-toggle')
+				 .attr('transform', 'translate(0,0)')
+				 .attr('aria-hidden', 'true')
+				 .style('cursor', 'pointer')
+				 .on('click', function (d) {
+					 d3.event.stopPropagation();
+					 toggleNode(d);
+				 })
+				 .on('dblclick', function () {
+					 d3.event.stopPropagation();
+				 });
+				toggle.append('circle');
+				toggle.append('text').attr('dy', '.35em').attr('text-anchor', 'middle').style('pointer-events', 'none');
+			}
+			
+			toggle.select('circle').attr('r', size);
+			toggle.select('text').text(d.children ? '\u2212' : '+');
+			
+			var bounds = shapeBounds(d, group);
+			var offset = (isVertical() && scope.layout != 'radial' ? bounds[1] : bounds[0]) / 2 + size + 2;
+			var direction = toggleDirection(d);
+			
+			toggle.transition('shape')
+			 .duration(duration)
+			 .attr('transform', 'translate(' + direction[0] * offset + ',' + direction[1] * offset + ')');
+		});
+	}
+	
+	// Unit vector pointing from a node toward its children.
+	function toggleDirection(d) {
+		if (scope.layout == 'radial') {
+			return d.depth > 0 ? [Math.sin(d.x), -Math.cos(d.x)] : [1, 0];
+		}
+		var sign = isReversed() ? -1 : 1;
+		return isVertical() ? [0, sign] : [sign, 0];
+	}
+	
+	// Arrow keys move between siblings and levels, Home and End jump to the first and last visible node,
+	// and Enter or Space act just like a click.  When nodes expand some other way, Enter still toggles the node.
+	function onNodeKeyDown(e, d, i) {
+		
+		var keys = navigationKeys();
+		var key = d3.event.key;
+		var siblings = d.parent ? d.parent.children : [d];
+		var index = siblings.indexOf(d);
+		var target = null;
+		
+		if (key == 'Enter' && expandsOn() != 'click' && !d.data.vz_more) {
+			toggleNode(d);
+		}
+		else if (key == 'Enter' || key == ' ') {
+			onNodeClick(e, d, i);
+		}
+		else if (isEditable(d) && key == 'F2') {
+			editLabel(e, d);
+		}
+		else if (isEditable(d) && key == 'Insert' && scope.createNode) {
+			var child = addNode(d, scope.createNode(d.data));
+			if (child) focusNode(child);
+		}
+		else if (isEditable(d) && key == 'Delete' && d.parent) {
+			removeNode(d);
+		}
+		else if (key == 'Home') {
+			target = hieararchy;
+		}
+		else if (key == 'End') {
+			target = hieararchy;
+			while (target.children) target = target.children[target.children.length - 1];
+		}
+		else if (key == keys.next) {
+			target = siblings[index + 1];
+		}
+		else if (key == keys.previous) {
+			target = siblings[index - 1];
+		}
+		else if (key == keys.child) {
+			target = d.children ? d.children[0] : null;
+		}
+		else if (key == keys.parent) {
+			target = d.parent;
+		}
+		else {
+			return;
+		}
+		
+		d3.event.preventDefault();
+		
+		if (target) focusNode(target);
+	}
+	
+	// Ghosts of removed nodes are only there for comparison, and "more" nodes aren't in the data, so they can't be edited.
+	function isEditable(d) {
+		return scope.editable && scope.renderer == 'svg' && !isGhost(d.data) && !d.data.vz_more;
+	}
+	
+	// Arrow keys follow the direction the tree grows in, so moving into a child is always toward the leaves.
+	function navigationKeys() {
+		if (scope.layout != 'radial') {
+			if (scope.orientation == 'right-left') return {child: 'ArrowLeft', parent: 'ArrowRight', next: 'ArrowDown', previous: 'ArrowUp'};
+			if (scope.orientation == 'top-down') return {child: 'ArrowDown', parent: 'ArrowUp', next: 'ArrowRight', previous: 'ArrowLeft'};
+			if (scope.orientation == 'bottom-up') return {child: 'ArrowUp', parent: 'ArrowDown', next: 'ArrowRight', previous: 'ArrowLeft'};
+		}
+		return {child: 'ArrowRight', parent: 'ArrowLeft', next: 'ArrowDown', previous: 'ArrowUp'};
+	}
+	
+	// Roving tab index - only the focused node (or the root until a node has been focused) is in the tab order.
+	function updateTabIndex() {
+		var nodes = nodePlot.selectAll('.vz-weighted_tree-node');
+		var focusVisible = !nodes.filter(function (d) { return keyOf(d.data) == focusedKey }).empty();
+		nodes.attr('tabindex', function (d) {
+			return (focusVisible ? keyOf(d.data) == focusedKey : d.depth == 0) ? 0 : -1;
+		});
+	}
+	
+	function focusNode(d) {
+		focusedKey = keyOf(d.data);
+		updateTabIndex();
+		nodePlot.selectAll('.vz-weighted_tree-node')
+		 .filter(function (n) { return n == d })
+		 .each(function () { this.focus() });
+	}
+	
+	// Follows the pointer with the dragged node and looks for a node to drop it on.
+	function onDrag(d) {
+		d3.select(this).raise().attr('transform', 'translate(' + d3.event.x + ',' + d3.event.y + ')');
+		var target = findDropTarget(d, [d3.event.x, d3.event.y]);
+		if (target != dropTarget) {
+			dropTarget = target;
+			styles_applyDropTarget();
+		}
+	}
+	
+	function onDragEnd(d) {
+		
+		var target = dropTarget;
+		dropTarget = null;
+		styles_applyDropTarget();
+		
+		// Send the node back where it came from if there was nowhere to drop it, or the move was cancelled.
+		if (!target || !moveNode(d, target)) {
+			d3.select(this).transition().duration(scope.duration).attr('transform', nodeTransform(d));
+		}
+	}
+	
+	// Returns the closest node under the point that can accept the dragged node.  A node can't be dropped on its current
+	// parent or on any of its own descendants.
+	function findDropTarget(d, point) {
+		
+		var target = null;
+		var closest = Infinity;
+		
+		nodePlot.selectAll('.vz-weighted_tree-node').each(function (n) {
+			if (n == d.parent || isGhost(n.data) || n.data.vz_more || n.ancestors().indexOf(d) > -1) return;
+			var p = nodePoint(n);
+			var distance = Math.sqrt((p[0] - point[0]) * (p[0] - point[0]) + (p[1] - point[1]) * (p[1] - point[1]));
+			if (distance <= Math.max(n.r, 10) && distance < closest) {
+				closest = distance;
+				target = n;
+			}
+		});
+		
+		return target;
+	}
+	
+	// Moves a node and its branch to the end of a new parent's children, unless a *node_move* listener cancels the move.
+	// The data is changed through the *children* accessor and the hierarchy is patched in place so the tree keeps its
+	// expanded and collapsed branches.  Leaf data has no children array to move into, so a *node_move* listener needs to
+	// give it one - the move is dropped if it doesn't.
+	function moveNode(d, target) {
+		
+		var oldParent = d.parent;
+		var newChildren = scope.children(target.data);
+		
+		var move = {
+			source: d.data,
+			oldParent: oldParent.data,
+			newParent: target.data,
+			index: newChildren ? newChildren.length : 0
+		};
+		
+		if (!dispatchOperation('node_move', move)) return false;
+		
+		// Listeners may have made the move in the data themselves.
+		newChildren = scope.children(target.data);
+		if (!newChildren) return false;
+		
+		var oldChildren = scope.children(oldParent.data) || [];
+		var index = oldChildren.indexOf(d.data);
+		if (index > -1) oldChildren.splice(index, 1);
+		if (newChildren.indexOf(d.data) == -1) newChildren.push(d.data);
+		
+		detachNode(d);
+		attachNode(d, target);
+		
+		measure();
+		updateNode(target);
 		
+		return true;
 	}
 	
-	
-	// The update function is the primary function that is called when we want to render the visualiation based on
-	// all of its set properties.  A developer can change properties of the components and it will not show on the screen
-	// until the update function is called
-	function update(refresh) {
+	// Adds a child to the end of a parent's children, unless a *node_add* listener cancels it.  Only the parent's branch
+	// is updated, so the new node grows out of its parent while the rest of the tree stays put.  As with moves, a leaf
+	// parent needs a *node_add* listener to give its data a children array.
+	function addNode(parentNode, data) {
 		
-		// Call measure each time before we update to make sure all our our layout properties are set correctly
-		measure();
+		var children = scope.children(parentNode.data);
 		
-		// Layout all of our primary SVG d3.elements.
-		svg.attr('width', scope.width).attr('height', scope.height);
-		background.attr('width', scope.width).attr('height', scope.height);
-		plot.style('width', size.width).style('height', size.height);
+		var add = {
+			data: data,
+			parent: parentNode.data,
+			index: children ? children.length : 0
+		};
 		
-		// We make a call to render the root node
-		updateNode(root);
+		if (!dispatchOperation('node_add', add)) return null;
+		
+		children = scope.children(parentNode.data);
+		if (!children) return null;
+		if (children.indexOf(data) == -1) children.push(data);
+		
+		var d = createBranch(data, parentNode);
+		attachNode(d, parentNode);
 		
+		measure();
+		updateNode(parentNode);
+		
+		return d;
 	}
 	
-	
-	// This function takes a given node and expands its children within the tree.  It gets called each time a user toggles a node.
-	function updateNode(rootNode, duration) {
+	// Removes a node and its branch from the data and the hierarchy, unless a *node_remove* listener cancels it.
+	// The removed nodes collapse back into their parent.
+	function removeNode(d) {
 		
-		if (!duration) duration = scope.duration;
+		var children = scope.children(d.parent.data);
 		
-		var nodes = tree(hieararchy).descendants();
+		var remove = {
+			data: d.data,
+			parent: d.parent.data,
+			index: children ? children.indexOf(d.data) : -1
+		};
 		
-		// Compute the new tree layout.
-		var links = hieararchy.links();
+		// Ghosts and nodes the data no longer has can't be removed from it.
+		if (remove.index == -1 || !dispatchOperation('node_remove', remove)) return false;
 		
-		updateTreeSize(rootNode, nodes);
+		// Listeners may have taken the node out of the data themselves.
+		var index = children.indexOf(d.data);
+		if (index > -1) children.splice(index, 1);
+		detachNode(d);
 		
-		// Update the nodes…
-		var node = nodePlot.selectAll('.vz-weighted_tree-node')
-		 .data(nodes, function (d) {
-			 return d.data.vz_tree_id || (d.data.vz_tree_id = scope.key(d.data));
-		 });
+		if (focusedKey == keyOf(d.data)) focusedKey = keyOf(d.parent.data);
+		if (pathNode && pathNode.ancestors().indexOf(d) > -1) pathNode = null;
 		
-		// Enter any new nodes at the parent's previous position.
-		var nodeEnter = node.enter().append('g')
-		 .attr('class', function (d) {
-			 return 'vz-weighted_tree-node vz-id-' + d.data.vz_tree_id;
-		 })
-		 .attr('transform', function (d) {
-			 var y = d.y0 ? d.y0 : rootNode.y0;
-			 var x = d.x0 ? d.x0 : rootNode.x0;
-			 return 'translate(' + y + ',' + x + ')';
-		 })
-		 .on('click', function (d, i) {
-		 	 toggleNode(d);
-			 scope.dispatch.apply('click', viz, [this, d, i])
-		 })
-		 .on('dblclick', function (d, i) {
-			 scope.dispatch.apply('dblclick', viz, [this, i])
-		 })
-		 .on('mouseover', function (d, i) {
-			 scope.dispatch.apply('mouseover', viz, [this, d, i])
-		 })
-		 .on('mouseout', function (d, i) {
-			 scope.dispatch.apply('mouseout', viz, [this, d, i])
-		 });
+		setSelection(knownKeys(selectedKeys));
 		
-		nodeEnter.append('circle')
-		 .attr('class', '.vz-weighted_tree-node-circle')
-		 .attr('r', 1e-6)
-		 .style('cursor', 'pointer');
+		measure();
+		updateNode(d.parent);
 		
-		nodeEnter.append('text')
-		 .attr('x', function (d) {
-			 return d.children || d._children ? -10 : 10;
-		 })
-		 .attr('dy', '.35em')
-		 .attr('text-anchor', function (d) {
-			 return d.children || d._children ? 'end' : 'start';
-		 })
-		 .style('pointer-events', 'none')
-		 .text(function (d) {
-			 return scope.label(d.data)
-		 });
+		return true;
+	}
+	
+	// Lets *node_rename* listeners store a new label in the node's data, where the *label* accessor will find it, or
+	// cancel the rename.  Nothing moves, so we only touch the node's own label.
+	function renameNode(d, label) {
 		
-		// Transition exiting nodes to the parent's new position.
-		var nodeExit = node.exit().transition()
-		 .duration(duration)
-		 .attr('transform', function (d) {
-			 d.x0 = null;
-			 d.y0 = null;
-			 return 'translate(' + rootNode.y + ',' + rootNode.x + ')';
-		 })
-		 .remove();
+		var rename = {
+			data: d.data,
+			oldLabel: labelOf(d.data),
+			label: label
+		};
 		
-		nodeExit.select('circle')
-		 .attr('r', 1e-6);
+		if (!dispatchOperation('node_rename', rename)) return false;
 		
-		node = nodeEnter.merge(node);
+		var node = nodePlot.selectAll('.vz-weighted_tree-node').filter(function (n) { return n == d });
+		node.select('text').text(labelOf(d.data));
+		node.attr('aria-label', ariaLabel);
 		
-		// Update the links…
-		var link = linkPlot.selectAll('.vz-weighted_tree-link')
-		 .data(links, function (d) {
-			 return d.target.data.vz_tree_id;
-		 });
+		positionLabels(node.select('text'));
+		wrapLabels(node.select('text'));
+		arrangeLabels();
+		renderNodes(node, scope.duration);
 		
-		// Enter any new links at the parent's previous position.
-		var linkEnter = link.enter().append('path')
-		 .attr('class', function (d) {
-			 return 'vz-weighted_tree-link vz-id-' + d.target.data.vz_tree_id;
-		 })
-		 .attr('d', function (d) {
-			 var y = d.target.y0 ? d.target.y0 : rootNode.y0;
-			 var x = d.target.x0 ? d.target.x0 : rootNode.x0;
-			 var o = {x: x, y: y};
-			 return diagonal({source: o, target: o});
-		 })
-		 .style('stroke-linecap', 'round')
-		 .style('pointer-events', 'none');
+		scope.dispatch.apply('node_refresh', viz);
 		
+		return true;
+	}
+	
+	// Lets listeners cancel an edit before we make it.  Returns false if the edit was cancelled.
+	function dispatchOperation(type, operation) {
+		operation.cancelled = false;
+		operation.cancel = function () {
+			this.cancelled = true;
+		};
+		scope.dispatch.apply(type, viz, [operation]);
+		return !operation.cancelled;
+	}
+	
+	// Builds the hierarchy nodes for a branch added under a parent, with everything below the branch collapsed.
+	function createBranch(data, parentNode) {
+		var node = d3.hierarchy(data, treeChildrenOf);
+		node.descendants().forEach(function (n) {
+			n.depth += parentNode.depth + 1;
+			if (n.children) {
+				n._children = n.children;
+				n.children = null;
+			}
+		});
+		node.parent = parentNode;
+		return node;
+	}
+	
+	// Takes a node out of its parent's expanded, collapsed and filtered children.  The node keeps a reference to its
+	// old parent so it has somewhere to exit to.
+	function detachNode(d) {
+		var parentNode = d.parent;
+		['children', '_children', '_filtered', '_overflow'].forEach(function (list) {
+			if (!parentNode[list]) return;
+			parentNode[list] = parentNode[list].filter(function (child) {
+				return child != d;
+			});
+			if (parentNode[list].length == 0) parentNode[list] = null;
+		});
+	}
+	
+	// Adds a node to the end of a parent's children and expands the parent so the node is in view.
+	function attachNode(d, parentNode) {
 		
-		// Transition exiting nodes to the parent's new position.
-		link.exit().transition()
-		 .duration(duration)
-		 .attr('d', function (d) {
-			 var o = {x: rootNode.x, y: rootNode.y};
-			 return diagonal({source: o, target: o});
-		 })
-		 .remove();
+		parentNode.children = (parentNode.children || parentNode._children || []).concat([d]);
+		parentNode._children = null;
+		d.parent = parentNode;
 		
-		link = linkEnter.merge(link);
+		function setDepth(n) {
+			n.depth = n.parent.depth + 1;
+			(n.children || []).concat(n._children || [], n._filtered || [], n._overflow || []).forEach(setDepth);
+		}
 		
-		//Before we fire transition we hit update so any external styles can take effect before we transition.
-		scope.dispatch.apply('update', this);
+		setDepth(d);
+	}
+	
+	// Swaps a node's label for a text box.  Enter or leaving the box saves the new label and Escape cancels.
+	function editLabel(e, d) {
 		
-		// Transition nodes to their new position.
-		var nodeUpdate = node.transition().duration(duration);
+		var node = d3.select(e);
+		var text = node.select('text');
+		var width = 150;
+		var anchor = text.attr('text-anchor');
+		var x = (Number(text.attr('x')) || 0) - (anchor == 'end' ? width : anchor == 'middle' ? width / 2 : 0);
+		var y = (Number(text.attr('y')) || 0) - 11;
+		var done = false;
 		
-		endUpdate(nodeUpdate, function () {
-			scope.dispatch.apply('node_refresh', viz)
-		});
+		text.style('visibility', 'hidden');
 		
-		nodeUpdate
-		 .attr('transform', function (d) {
-			 return 'translate(' + d.y + ',' + d.x + ')';
-		 });
+		var editor = node.append('foreignObject')
+		 .attr('class', 'vz-weighted_tree-editor')
+		 .attr('x', x)
+		 .attr('y', y)
+		 .attr('width', width)
+		 .attr('height', 22)
+		 .attr('transform', text.attr('transform'));
 		
-		nodeUpdate.select('circle')
-		 .attr('r', nodeRadius)
-		 .style('cursor', function (d) {
-			 return (d.children || d._children) ? 'pointer' : 'auto'
+		var input = editor.append('xhtml:input')
+		 .attr('type', 'text')
+		 .attr('aria-label', 'Rename ' + labelOf(d.data))
+		 .property('value', labelOf(d.data))
+		 .style('width', '100%')
+		 .style('box-sizing', 'border-box')
+		 .style('font-size', viz.getStyle('font-size', [d]))
+		 .on('keydown', function () {
+			 // Keep the tree's own keyboard navigation from seeing keys typed into the box.
+			 d3.event.stopPropagation();
+			 if (d3.event.key == 'Enter') finish(true);
+			 else if (d3.event.key == 'Escape') finish(false);
 		 })
-		
-		
-		// Transition links to their new position.
-		link.transition()
-		 .duration(duration)
-		 .attr('d', diagonal)
-		 .style('stroke-width', function (d) {
-			 return (nodeRadius(d.target) * 2) + 'px';
+		 .on('click', function () {
+			 d3.event.stopPropagation();
+		 })
+		 .on('blur', function () {
+			 finish(true);
 		 });
 		
-		// Stash the old positions for transition.
-		nodes.forEach(function (d) {
-			d.x0 = d.x;
-			d.y0 = d.y;
-		});
+		function finish(save) {
+			if (done) return;
+			done = true;
+			var label = input.property('value');
+			editor.remove();
+			text.style('visibility', null);
+			if (save && label != labelOf(d.data)) renameNode(d, label);
+			focusNode(d);
+		}
 		
+		input.node().focus();
+		input.node().select();
 	}
 	
-	// Repositions nodes according to layout and makes tree bigger with scrolling if it needs to accomodate larger tree
-	function updateTreeSize(rootNode, nodes) {
+	// True when a node has no children yet and we haven't asked the *loadChildren* function for them.
+	function canLoadChildren(d) {
+		return scope.loadChildren && !d.children && !d._children && !d._filtered && !d._overflow && !d.data.vz_children_loaded && !d.data.vz_more;
+	}
+	
+	// Fetches the children of a node through the *loadChildren* function and grafts them onto the hierarchy so the
+	// rest of the tree keeps its current expansion.
+	function loadChildren(d) {
 		
-		// Figure out our total height of current display
-		maxX = -Infinity;
-		maxY = -Infinity;
-		minX = Infinity;
-		minY = Infinity;
+		if (d.data.vz_children_pending) return;
 		
-		nodes.forEach(function (d) {
-			d.r = nodeRadius(d);
-			maxX = Math.max(d.x, maxX);
-			maxY = Math.max(d.y, maxY);
-			minX = Math.min(d.x, minX);
-			minY = Math.min(d.y, minY);
-		})
+		d.data.vz_children_pending = true;
+		styles_applyPending();
 		
-		if (scope.useZoom && zoom) {
-			var t = d3.zoomTransform(background.node());
-			minY = minY * t.k;
-			maxY = maxY * t.k;
-			maxX = maxX * t.k;
+		// Wrapping the call catches a *loadChildren* function that throws before it returns a Promise.
+		new Promise(function (resolve) {
+			resolve(scope.loadChildren(d.data));
+		}).then(function (loaded) {
+			
+			// The loaded children go through the *children* accessor so viz.data() and any code reading it sees them,
+			// unless the *loadChildren* function already stored them there itself.
+			var children = scope.children(d.data);
+			if (!children && loaded && loaded.length > 0) {
+				children = createChildren(d);
+			}
+			if (children && children.length == 0 && loaded) {
+				loaded.forEach(function (child) { children.push(child) });
+			}
+			
+			d.data.vz_children_pending = false;
+			d.data.vz_children_loaded = true;
+			
+			if (children && children.length > 0) {
+				d.children = children.map(function (child) {
+					return createBranch(child, d);
+				});
+				
+				// Value ranges, depth and colors may all change with the new nodes.
+				measure();
+				updateNode(d, 0);
+				zoomToNode(d);
+				scope.dispatch.apply('expand', viz, [[d]]);
+			}
+			
+			styles_applyPending();
+			
+		}).catch(function (error) {
+			// Clearing the pending flag lets the node try again the next time it is expanded.
+			d.data.vz_children_pending = false;
+			styles_applyPending();
+			scope.dispatch.apply('children_error', viz, [d, error]);
+		});
+	}
+	
+	// Gives leaf data an empty children array, in the property the *children* accessor reads on the node's ancestors.
+	function createChildren(d) {
+		for (var p = d.parent; p; p = p.parent) {
+			var children = scope.children(p.data);
+			for (var property in p.data) {
+				if (children && p.data[property] === children) {
+					d.data[property] = [];
+					return scope.children(d.data);
+				}
+			}
 		}
+		throw new Error('the children accessor has no array for the loaded children');
+	}
+	
+	// Walks every node in the hierarchy, including those hidden within collapsed branches, by the *filter* and behind
+	// "more" nodes.
+	function eachNode(node, callback) {
+		callback(node);
+		(node.children || node._children || []).concat(node._filtered || [], node._overflow || []).forEach(function (child) {
+			eachNode(child, callback);
+		});
+	}
+	
+	// Raises the number of children shown by each parent on the way to the given nodes, so none of them are left
+	// behind a "more" node.  Returns true when the tree needs to be arranged again.
+	function revealOverflow(nodes) {
 		
-		var h = Math.max(scope.height, maxX - minX + size.top);   // calc height
-		var w = Math.max(scope.width, maxY + scope.width * .2 + size.left);               // calc width;
-		
-		
-		// if the span between minY and maxY is less than the total height, but maxY + half the height is MORE than the total height
-		// we need to make the height bigger.  i.e.  If expanded node is below the root node and it expands beyond the bottom of the screen.
-		if (size.height / 2 + maxY > h) h = size.height / 2 + maxY + tree.nodeSize()[0];
-		svg.transition().duration(scope.duration).style('height', h + 'px').style('width', w + 'px');
-		
-		//Now determine how far above the fold this minY is
-		var offsetY = Math.max(0, -minY - size.height / 2) + tree.nodeSize()[0] / 2;
+		var raised = false;
 		
-		// Normalize for fixed-depth.
 		nodes.forEach(function (d) {
-			d.y = d.depth * depthSpan + cx;
-			
-			//Adjust y position to accomodate offset
-			d.x = d.x + offsetY + cy - tree.nodeSize()[0];
+			d.ancestors().forEach(function (n) {
+				var parent = n.parent;
+				if (!parent || !parent._overflow || parent._overflow.indexOf(n) == -1) return;
+				
+				// The largest children are the ones shown, so enough of them to reach this one.
+				var value = nodeValueOf(n.data);
+				var siblings = (parent.children || parent._children).concat(parent._overflow).filter(function (child) {
+					return !child.data.vz_more && nodeValueOf(child.data) >= value;
+				});
+				
+				visibleChildren[keyOf(parent.data)] = isNaN(value) ? Infinity : Math.max(visibleLimit(parent), siblings.length);
+				raised = true;
+			});
 		});
 		
-		//Scroll to position of the rootNode node.
-		scrollTop(rootNode.x);
+		if (raised) measure();
+		
+		return raised;
 	}
 	
-	// Fired after all transitions for tree are complete
-	function endUpdate(transition, callback) {
-		var n = 0;
-		transition
-		 .each(function () {
-			 ++n;
-		 })
-		 .on('end', function () {
-			 if (!--n) callback.apply(this, arguments);
-		 });
+	// Returns the hierarchy node for a given data key, or null if it can't be found.
+	function findNode(key) {
+		var found = null;
+		if (!hieararchy) return found;
+		eachNode(hieararchy, function (d) {
+			if (!found && keyOf(d.data) == key) found = d;
+		});
+		return found;
 	}
 	
+	// Expands and collapses the given nodes in one transition and lets listeners know which nodes changed.
+	function setExpanded(expandNodes, collapseNodes, sourceNode) {
+		
+		var expanded = [], collapsed = [];
+		
+		expandNodes.forEach(function (d) {
+			if (d._children) {
+				d.children = d._children;
+				d._children = null;
+				expanded.push(d);
+			}
+			else if (!d.children && d._filtered) {
+				d._expanded = true;
+			}
+		});
+		
+		collapseNodes.forEach(function (d) {
+			if (d.children) {
+				d._children = d.children;
+				d.children = null;
+				collapsed.push(d);
+			}
+			d._expanded = false;
+		});
+		
+		if (expanded.length == 0 && collapsed.length == 0) return false;
+		
+		updateNode(sourceNode || hieararchy);
+		
+		if (expanded.length > 0) scope.dispatch.apply('expand', viz, [expanded]);
+		if (collapsed.length > 0) scope.dispatch.apply('collapse', viz, [collapsed]);
+		
+		return true;
+	}
 	
-	// Scrolls to the top measure provided
-	function scrollTop(top) {
-		scope.selection.transition().duration(scope.duration)
-		 .tween('scrolltween', scrollTopTween(top));
-		
-		function scrollTopTween(scrollTop) {
-			return function () {
-				var i = d3.interpolateNumber(this.scrollTop, scrollTop);
-				return function (t) {
-					this.scrollTop = i(t);
-				};
-			};
-		}
+	// Expands every node above the given depth and collapses everything at or below it.
+	function expandToDepth(depth) {
+		var expandNodes = [], collapseNodes = [];
+		eachNode(hieararchy, function (d) {
+			if (d.depth < depth) expandNodes.push(d); else collapseNodes.push(d);
+		});
+		setExpanded(expandNodes, collapseNodes);
 	}
 	
-	function onZoom() {
-		if (scope.useZoom) {
-			var t = d3.event.transform;
-			plot.attr('transform', 'translate(' + t.x + ',' + t.y + ')scale(' + t.k + ')');
-			scope.dispatch.apply('zoom', viz);
+	// Returns a serializable snapshot of the expanded nodes, zoom transform and selected nodes.
+	function getState() {
+		
+		var expanded = [];
+		if (hieararchy) {
+			eachNode(hieararchy, function (d) {
+				if (d.children || d._expanded) expanded.push(keyOf(d.data));
+			});
 		}
+		
+		var t = d3.zoomTransform(background.node());
+		
+		return {
+			expanded: expanded,
+			transform: {x: t.x, y: t.y, k: t.k},
+			selected: selectedKeys.slice()
+		};
 	}
 	
-	function zoomToNode(d) {
-		if (d && scope.useZoom && scope.useZoomToNode) {
-			var scale = d3.zoomTransform(background.node()).k;
-			var t = d3.zoomIdentity.translate((-d.y * scale) + size.width / 4, (-d.x * scale) + size.height / 2).scale(scale)
-			plot.transition().duration(1000)
-			 .attr('transform', 'translate(' + t.x + ',' + t.y + ')scale(' + t.k + ')')
+	// Expands exactly the nodes listed in the state, then restores the selected nodes and zoom transform.
+	function applyState(state) {
+		
+		var expanded = {};
+		(state.expanded || []).forEach(function (key) {
+			expanded[key] = true;
+		});
+		
+		eachNode(hieararchy, function (d) {
+			if (expanded[keyOf(d.data)]) {
+				if (d._children) {
+					d.children = d._children;
+					d._children = null;
+				}
+			}
+			else if (d.children) {
+				d._children = d.children;
+				d.children = null;
+			}
+			d._expanded = expanded[keyOf(d.data)] === true && !d.children && !!d._filtered;
+		});
+		
+		if (state.selected !== undefined) setSelection(knownKeys([].concat(state.selected || [])));
+		
+		if (state.transform && scope.useZoom) {
+			var t = d3.zoomIdentity.translate(state.transform.x, state.transform.y).scale(state.transform.k);
 			
 			//Disable zoom event so we can reset transform
 			zoom.on('zoom', null);
 			background.call(zoom.transform, t);
 			zoom.on('zoom', onZoom);
-			scope.dispatch.apply('zoom', viz)
+			plot.attr('transform', 'translate(' + t.x + ',' + t.y + ')scale(' + t.k + ')');
 		}
 	}
 	
-	function resetZoom() {
-		if (scope.useZoom) {
-			var t = d3.zoomIdentity.translate(0, 0).scale(1)
-			zoom.on('zoom', null);
-			background.call(zoom.transform, t);
-			background.call(zoom);
-			zoom.on('zoom', onZoom);
-			plot.attr('transform', 'translate(0, 0) scale(1)');
+	// Finds every node (including collapsed ones) that matches the query, then expands and highlights the path to each match.
+	function search(query) {
+		
+		searchResults = [];
+		searchIndex = -1;
+		searchMatches = {};
+		searchPath = {};
+		
+		if (hieararchy && query != null && query !== '') {
+			
+			// Strings do a case insensitive match against the node label, functions are called with the node data.
+			var predicate = (typeof query === 'function') ? query : function (data) {
+				return String(labelOf(data)).toLowerCase().indexOf(String(query).toLowerCase()) > -1;
+			};
+			
+			var expandNodes = [];
+			var expandKeys = {};
+			
+			eachNode(hieararchy, function (d) {
+				if (!predicate(d.data)) return;
+				
+				searchMatches[keyOf(d.data)] = true;
+				d.ancestors().forEach(function (ancestor) {
+					searchPath[keyOf(ancestor.data)] = true;
+				});
+				
+				// Matches the filter hides stay highlighted for when they come back, but there is nothing to step to.
+				if (isFiltered(d)) return;
+				
+				searchResults.push(d);
+				
+				// Matches share most of their ancestors, so stop at the first one already on the list.
+				for (var p = d.parent; p && !expandKeys[keyOf(p.data)]; p = p.parent) {
+					expandKeys[keyOf(p.data)] = true;
+					expandNodes.push(p);
+				}
+			});
+			
+			var revealed = revealOverflow(searchResults);
+			if (!setExpanded(expandNodes, [], hieararchy) && revealed) updateNode(hieararchy);
 		}
+		
+		applyStyles();
+		
+		return searchResults;
 	}
 	
-	// Toggles node.
-	function toggleNode(d) {
-		if (d.children) {
-			d._children = d.children;
-			d.children = null;
-			updateNode(d, 0);
-			if (d.parent) zoomToNode(d.parent);
-		} else {
-			d.children = d._children;
-			d._children = null;
-			updateNode(d, 0);
-			if (d.children) zoomToNode(d);
-		}
+	// Nodes hidden by the *filter*, or within a branch it hides, sit in their parent's *_filtered* children.
+	function isFiltered(d) {
+		return d.ancestors().some(function (n) {
+			return n.parent && n.parent._filtered && n.parent._filtered.indexOf(n) > -1;
+		});
+	}
+	
+	// Moves through the search results (wrapping at either end) and zooms to the new current match.
+	function stepSearch(step) {
+		if (searchResults.length == 0) return null;
+		searchIndex = (searchIndex + step + searchResults.length) % searchResults.length;
+		var d = searchResults[searchIndex];
+		zoomToNode(d);
+		styles_applyHighlights();
+		return d;
 	}
 	
 	function scaleToHeight() {
-		var nodes = nodePlot.selectAll(".vz-weighted_tree-node")
 		minX = minY = Infinity;
 		maxX = maxY = -Infinity;
-		nodes.each(function (d) {
-			minX = Math.min(d.x, minX);
-			maxX = Math.max(d.x, maxX);
-			minY = Math.min(d.y, minY);
-			maxY = Math.max(d.y, maxY);
+		hieararchy.descendants().forEach(function (d) {
+			var p = nodePoint(d);
+			minX = Math.min(p[1], minX);
+			maxX = Math.max(p[1], maxX);
+			minY = Math.min(p[0], minY);
+			maxY = Math.max(p[0], maxY);
 		})
 		
 		var h = size.height - nodeScale.range()[1];
@@ -706,6 +4130,64 @@ vizuly2.viz.WeightedTree = function (parent) {
 		scaleToHeight();
 	}
 	
+	/**
+	 *
+	 * Zooms in around the center of the view.
+	 * @memberof vizuly2.viz.weighted_tree
+	 */
+	viz.zoomIn = function () {
+		if (scope.useZoom) zoom.scaleBy(background.transition().duration(scope.duration), 1.5);
+		return viz;
+	};
+	
+	/**
+	 *
+	 * Zooms out around the center of the view.
+	 * @memberof vizuly2.viz.weighted_tree
+	 */
+	viz.zoomOut = function () {
+		if (scope.useZoom) zoom.scaleBy(background.transition().duration(scope.duration), 1 / 1.5);
+		return viz;
+	};
+	
+	/**
+	 *
+	 * Zooms to the given scale around the center of the view.  The scale is limited to the *scaleExtent*.
+	 * @param {Number} k - Scale to zoom to, where 1 is the original size.
+	 * @memberof vizuly2.viz.weighted_tree
+	 */
+	viz.zoomTo = function (k) {
+		if (scope.useZoom) zoom.scaleTo(background.transition().duration(scope.duration), k);
+		return viz;
+	};
+	
+	/**
+	 *
+	 * Scales and pans the tree so every visible node fits within the width and height of the chart.
+	 * @memberof vizuly2.viz.weighted_tree
+	 */
+	viz.fitToView = function () {
+		if (scope.useZoom && hieararchy) fitToView();
+		return viz;
+	};
+	
+	/**
+	 *
+	 * Pans the tree so the node with the given key is in the center of the view, expanding its ancestors if needed.
+	 * @param {String} key - Key (as returned by the *key* accessor) of the node to center on.
+	 * @param {Number} [k] - Scale to zoom to.  Defaults to the current scale.
+	 * @memberof vizuly2.viz.weighted_tree
+	 */
+	viz.centerOn = function (key, k) {
+		var d = findNode(key);
+		if (d && scope.useZoom) {
+			var revealed = revealOverflow([d]);
+			if (!setExpanded(d.ancestors().slice(1), [], d.parent) && revealed) updateNode(d.parent);
+			centerOn(nodePoint(d), k || d3.zoomTransform(background.node()).k);
+		}
+		return viz;
+	};
+	
 	
 	/**
 	 *
@@ -730,11 +4212,217 @@ vizuly2.viz.WeightedTree = function (parent) {
 		toggleNode(d);
 	};
 
+	/**
+	 *
+	 * Expands every node in the tree.
+	 * @memberof vizuly2.viz.weighted_tree
+	 */
+	viz.expandAll = function () {
+		if (hieararchy) expandToDepth(Infinity);
+		return viz;
+	};
+	
+	/**
+	 *
+	 * Collapses every node below the root.
+	 * @memberof vizuly2.viz.weighted_tree
+	 */
+	viz.collapseAll = function () {
+		if (hieararchy) expandToDepth(1);
+		return viz;
+	};
+	
+	/**
+	 *
+	 * Expands all nodes above a given depth and collapses the rest.
+	 * @param {Number} depth - Number of levels below the root that should be visible.
+	 * @memberof vizuly2.viz.weighted_tree
+	 */
+	viz.expandToDepth = function (depth) {
+		if (hieararchy) expandToDepth(depth);
+		return viz;
+	};
+	
+	/**
+	 *
+	 * Expands each ancestor of the node with the given key so it is visible, and zooms to it.
+	 * @param {String} key - Key (as returned by the *key* accessor) of the node to reveal.
+	 * @memberof vizuly2.viz.weighted_tree
+	 */
+	viz.expandPath = function (key) {
+		var d = findNode(key);
+		if (d) {
+			var revealed = revealOverflow([d]);
+			if (!setExpanded(d.ancestors().slice(1), [], d.parent) && revealed) updateNode(d.parent);
+			zoomToNode(d);
+		}
+		return viz;
+	};
+	
+	/**
+	 *
+	 * Collapses the node with the given key.
+	 * @param {String} key - Key (as returned by the *key* accessor) of the node to collapse.
+	 * @memberof vizuly2.viz.weighted_tree
+	 */
+	viz.collapse = function (key) {
+		var d = findNode(key);
+		if (d) setExpanded([], [d], d);
+		return viz;
+	};
+	
+	/**
+	 *
+	 * Collapses every descendant of the node with the given key, leaving the node and its ancestors expanded, and zooms to it.
+	 * @param {String} key - Key (as returned by the *key* accessor) of the node to focus on.
+	 * @memberof vizuly2.viz.weighted_tree
+	 */
+	viz.collapseBelow = function (key) {
+		var d = findNode(key);
+		if (d) {
+			var collapseNodes = [];
+			eachNode(d, function (node) {
+				if (node != d) collapseNodes.push(node);
+			});
+			setExpanded(d.ancestors(), collapseNodes, d);
+			zoomToNode(d);
+		}
+		return viz;
+	};
+	
+	/**
+	 *
+	 * Gets or sets the keys of the selected nodes.  Setting the selection fires a *selection_change* event when it changes,
+	 * and keys of nodes that aren't in the tree are ignored.
+	 * @param {String|Array} keys - Key, or array of keys (as returned by the *key* accessor), of the nodes to select.
+	 * @returns {Array} Keys of the selected nodes when called without arguments.
+	 * @memberof vizuly2.viz.weighted_tree
+	 */
+	viz.selected = function (keys) {
+		if (!arguments.length) return selectedKeys.slice();
+		setSelection(knownKeys(keys == null ? [] : [].concat(keys)));
+		return viz;
+	};
+	
+	/**
+	 *
+	 * Shows the next batch of children beyond the *maxVisibleChildren* of the node with the given key, just like clicking
+	 * its "more" node.
+	 * @param {String} key - Key (as returned by the *key* accessor) of the parent node.
+	 * @param {Boolean} all - Shows all of the remaining children instead of the next batch.
+	 * @memberof vizuly2.viz.weighted_tree
+	 */
+	viz.showMoreChildren = function (key, all) {
+		var d = findNode(key);
+		var more = d ? (d.children || d._children || []).filter(function (child) { return child.data.vz_more })[0] : null;
+		if (more) showMore(more, all);
+		return viz;
+	};
+	
+	/**
+	 *
+	 * Gets or sets the view state of the tree as a serializable object in this format:
+	 * *{expanded: ['keyA', 'keyB'], transform: {x: 0, y: 0, k: 1}, selected: ['keyB']}*
+	 *
+	 * If the data has changed since the last update, the state will be applied on the next *viz.update()*.
+	 * @param {Object} state - Previously saved state to restore.
+	 * @memberof vizuly2.viz.weighted_tree
+	 */
+	viz.state = function (state) {
+		if (!arguments.length) return getState();
+		if (hieararchy && !dataIsDirty && !refreshNeeded) {
+			applyState(state);
+			updateNode(hieararchy);
+		}
+		else {
+			pendingState = state;
+		}
+		return viz;
+	};
+	
+	/**
+	 *
+	 * Searches the whole hierarchy, including collapsed branches, and highlights each match along with the path to it.
+	 * Ancestors of every match are expanded so the matches are visible.  Passing in null or an empty string clears the search.
+	 * @param {String|Function} query - Text to match against each node label, or a predicate called with each node's data.
+	 * @returns {Array} The matching nodes, leaving out any the *filter* hides.
+	 * @memberof vizuly2.viz.weighted_tree
+	 */
+	viz.search = function (query) {
+		return search(query);
+	};
+	
+	/**
+	 *
+	 * Steps to the next search result and zooms to it.
+	 * @returns {Object} The current matching node, or null if there are no results.
+	 * @memberof vizuly2.viz.weighted_tree
+	 */
+	viz.next = function () {
+		return stepSearch(1);
+	};
+	
+	/**
+	 *
+	 * Steps to the previous search result and zooms to it.
+	 * @returns {Object} The current matching node, or null if there are no results.
+	 * @memberof vizuly2.viz.weighted_tree
+	 */
+	viz.previous = function () {
+		return stepSearch(-1);
+	};
+	
+	/**
+	 *
+	 * Changes the label of the node with the given key.  Fires a *node_rename* event whose listeners store the new label
+	 * in the node's data, where the *label* accessor reads it, or cancel the rename.
+	 * @param {String} key - Key (as returned by the *key* accessor) of the node to rename.
+	 * @param {String} label - New label for the node.
+	 * @memberof vizuly2.viz.weighted_tree
+	 */
+	viz.renameNode = function (key, label) {
+		var d = findNode(key);
+		if (d && !isGhost(d.data) && !d.data.vz_more) renameNode(d, label);
+		return viz;
+	};
+	
+	/**
+	 *
+	 * Adds a child to the end of the children of the node with the given key and expands the node so the child is in view.
+	 * Fires a *node_add* event that listeners can cancel.  The data is added through the *children* accessor, so a leaf
+	 * parent needs a *node_add* listener to give its data a children array.
+	 * @param {String} parentKey - Key (as returned by the *key* accessor) of the parent node.
+	 * @param {Object} data - Data of the new child, which may have children of its own.
+	 * @memberof vizuly2.viz.weighted_tree
+	 */
+	viz.addNode = function (parentKey, data) {
+		var d = findNode(parentKey);
+		if (d && !isGhost(d.data) && !d.data.vz_more) addNode(d, data);
+		return viz;
+	};
+	
+	/**
+	 *
+	 * Removes the node with the given key, and its branch, from the tree and the data.  Fires a *node_remove* event
+	 * that listeners can cancel.  The root can't be removed.
+	 * @param {String} key - Key (as returned by the *key* accessor) of the node to remove.
+	 * @memberof vizuly2.viz.weighted_tree
+	 */
+	viz.removeNode = function (key) {
+		var d = findNode(key);
+		if (d && d.parent && !isGhost(d.data) && !d.data.vz_more) removeNode(d);
+		return viz;
+	};
+	
 	var stylesCallbacks = [
 		{on: 'update.styles', callback: applyStyles},
 		{on: 'measure.styles', callback: styles_prepColorData},
 		{on: 'mouseover.styles', callback: styles_onMouseOver},
-		{on: 'mouseout.styles', callback: styles_onMouseOut}
+		{on: 'mouseout.styles', callback: styles_onMouseOut},
+		{on: 'click.styles', callback: styles_onClick},
+		{on: 'focus.styles', callback: styles_onFocus},
+		{on: 'blur.styles', callback: styles_onBlur},
+		{on: 'selection_change.styles', callback: styles_onSelectionChange}
 	];
 	
 	viz.applyCallbacks(stylesCallbacks)
@@ -746,29 +4434,224 @@ vizuly2.viz.WeightedTree = function (parent) {
 		// If we don't have a styles, we want to exit - as there is nothing we can do.
 		if (!scope.styles || scope.styles == null) return;
 		
-		// Grab the d3.**selection** from the viz so we can operate on it.
-		var selection = scope.selection;
+		// Grab the d3.**selection** holding our links and nodes so we can operate on it.
+		var selection = plot;
 		
 		fontSize = Math.max(8, Math.round(viz.width() / 75));
 		
-		selection.selectAll('.vz-weighted_tree-node circle')
+		selection.selectAll('.vz-weighted_tree-node-shape')
 		 .style('stroke', function (d,i) { return viz.getStyle('node-stroke', arguments) })
 		 .style('stroke-opacity', function (d,i) { return viz.getStyle('node-stroke-opacity', arguments) })
 		 .style('fill', function (d,i) { return viz.getStyle('node-fill', arguments) })
 		 .style('fill-opacity', function (d,i) { return viz.getStyle('node-fill-opacity', arguments) })
 		
-		selection.selectAll('.vz-weighted_tree-node text')
+		selection.selectAll('.vz-weighted_tree-node > text')
 		 .style('font-size', function (d,i) { return viz.getStyle('font-size', arguments) })
-		 .style('fill', function (d,i) { return viz.getStyle('label-color', arguments) })
+		 .style('fill', function (d,i) { return viz.getStyle(d.data.vz_more ? 'more-label-color' : 'label-color', arguments) })
 		 .style('fill-opacity', function (d,i) { return viz.getStyle('text-fill-opacity', arguments) })
 		
+		selection.selectAll('.vz-weighted_tree-node-icon')
+		 .style('fill', function (d,i) { return viz.getStyle('node-icon-color', arguments) })
+		 .style('color', function (d,i) { return viz.getStyle('node-icon-color', arguments) })
+		
+		selection.selectAll('.vz-weighted_tree-node-toggle circle')
+		 .style('fill', function (d,i) { return viz.getStyle('toggle-fill', arguments) })
+		 .style('stroke', function (d,i) { return viz.getStyle('toggle-stroke', arguments) })
+		
+		selection.selectAll('.vz-weighted_tree-node-toggle text')
+		 .style('font-size', function (d,i) { return viz.getStyle('font-size', arguments) })
+		 .style('fill', function (d,i) { return viz.getStyle('toggle-color', arguments) })
+		
+		selection.selectAll('.vz-weighted_tree-node-badge rect')
+		 .style('fill', function (d,i) { return viz.getStyle('badge-fill', arguments) })
+		
+		selection.selectAll('.vz-weighted_tree-node-badge text')
+		 .style('font-size', function (d,i) { return viz.getStyle('badge-font-size', arguments) })
+		 .style('fill', function (d,i) { return viz.getStyle('badge-color', arguments) })
+		
 		selection.selectAll('.vz-weighted_tree-link')
 		 .style('stroke', function (d,i) { return viz.getStyle('link-stroke', arguments) })
 		 .style('stroke-opacity', function (d,i) { return viz.getStyle('link-stroke-opacity', arguments) })
+		 .style('fill', 'none')
+		 .style('fill-opacity', null)
+		
+		selection.selectAll('.vz-weighted_tree-link-label')
+		 .style('font-size', function (d,i) { return viz.getStyle('link-label-font-size', arguments) })
+		 .style('fill', function (d,i) { return viz.getStyle('link-label-color', arguments) })
+		
+		svg.selectAll('.vz-weighted_tree-legend-label')
+		 .style('font-size', function (d,i) { return viz.getStyle('legend-font-size', arguments) })
+		 .style('fill', function (d,i) { return viz.getStyle('legend-label-color', arguments) })
+		
+		defs.select('#' + hatchId() + ' line')
+		 .style('stroke', function (d,i) { return viz.getStyle('negative-color', arguments) })
+		
+		selection.selectAll('.vz-weighted_tree-node-ring')
+		 .style('fill', 'none')
+		 .style('stroke', function (d,i) { return viz.getStyle('node-compare-stroke', arguments) })
+		 .style('stroke-dasharray', function (d,i) { return viz.getStyle('node-compare-stroke-dasharray', arguments) })
+		
+		zoomControls.selectAll('button')
+		 .style('background', function (d,i) { return viz.getStyle('zoom-button-background', arguments) })
+		 .style('color', function (d,i) { return viz.getStyle('zoom-button-color', arguments) })
+		 .style('border', function (d,i) { return viz.getStyle('zoom-button-border', arguments) })
+		
+		minimapBackground
+		 .style('fill', function (d,i) { return viz.getStyle('minimap-background', arguments) })
+		 .style('fill-opacity', function (d,i) { return viz.getStyle('minimap-background-opacity', arguments) })
+		 .style('stroke', function (d,i) { return viz.getStyle('minimap-stroke', arguments) })
+		
+		minimapLinks.selectAll('.vz-weighted_tree-minimap-link')
+		 .style('stroke', function (d,i) { return viz.getStyle('minimap-link-stroke', arguments) })
+		
+		minimapNodes.selectAll('.vz-weighted_tree-minimap-node')
+		 .style('fill', function (d,i) { return viz.getStyle('minimap-node-fill', arguments) })
+		
+		minimapViewport
+		 .style('fill', function (d,i) { return viz.getStyle('minimap-viewport-fill', arguments) })
+		 .style('fill-opacity', function (d,i) { return viz.getStyle('minimap-viewport-fill-opacity', arguments) })
+		 .style('stroke', function (d,i) { return viz.getStyle('minimap-viewport-stroke', arguments) })
+		
+		sizeLegend.selectAll('circle, line')
+		 .style('fill', 'none')
+		 .style('stroke', function (d,i) { return viz.getStyle('legend-size-stroke', arguments) })
+		
+		styles_applyHighlights();
+		styles_applyPending();
+		redraw();
 		
 		scope.dispatch.apply('styled', viz);
 	}
 	
+	// Emphasizes any search matches and the links leading to them.
+	function styles_applyHighlights() {
+		
+		var selection = plot;
+		
+		selection.selectAll('.vz-weighted_tree-node-shape').style('stroke-width', null);
+		
+		selection.selectAll('.vz-weighted_tree-node-shape')
+		 .filter(function (d) { return searchMatches[keyOf(d.data)] })
+		 .style('stroke', function (d,i) { return viz.getStyle('node-highlight-stroke', arguments) })
+		 .style('stroke-width', function (d) { return (searchResults[searchIndex] == d) ? 3 : 1 })
+		 .style('fill', function (d,i) { return viz.getStyle('node-highlight-fill', arguments) })
+		 .style('fill-opacity', function (d,i) { return viz.getStyle('node-highlight-fill-opacity', arguments) })
+		
+		selection.selectAll('.vz-weighted_tree-link')
+		 .filter(function (d) { return searchPath[keyOf(d.target.data)] })
+		 .style('stroke', function (d,i) { return viz.getStyle('link-highlight-stroke', arguments) })
+		 .style('stroke-opacity', function (d,i) { return viz.getStyle('link-highlight-stroke-opacity', arguments) })
+		
+		styles_applySelection();
+		styles_applyFocus();
+		styles_applyPath();
+		styles_applyLinkShape();
+		
+		redraw();
+	}
+	
+	// Tapered branches are filled with their stroke color, where the other shapes are only stroked.  Pass in links to
+	// only restyle those.
+	function styles_applyLinkShape(links) {
+		if (scope.linkShape != 'tapered') return;
+		(links || plot.selectAll('.vz-weighted_tree-link')).each(function () {
+			var link = d3.select(this);
+			link
+			 .style('fill', link.style('stroke'))
+			 .style('fill-opacity', link.style('stroke-opacity'));
+		});
+	}
+	
+	// Fades the nodes and branches that aren't on the path to the highlighted node, or within its subtree.
+	function styles_applyPath() {
+		
+		var related = pathRelated();
+		
+		nodePlot.selectAll('.vz-weighted_tree-node')
+		 .style('opacity', function (n,i) { return (!related || related[keyOf(n.data)]) ? null : viz.getStyle('node-dimmed-opacity', arguments) })
+		
+		if (!related) return;
+		
+		plot.selectAll('.vz-weighted_tree-link')
+		 .style('stroke', function (l,i) { return related[keyOf(l.target.data)] ? viz.getStyle('link-highlight-stroke', arguments) : viz.getStyle('link-stroke', arguments) })
+		 .style('stroke-opacity', function (l,i) { return related[keyOf(l.target.data)] ? viz.getStyle('link-highlight-stroke-opacity', arguments) : viz.getStyle('link-dimmed-opacity', arguments) })
+	}
+	
+	// Keys of the nodes on the path to the highlighted node, and within its subtree, or null when no node is highlighted.
+	function pathRelated() {
+		
+		var d = pathNode;
+		if (!d) return null;
+		
+		var related = {};
+		d.ancestors().concat(scope.highlightSubtree ? d.descendants() : []).forEach(function (n) {
+			related[keyOf(n.data)] = true;
+		});
+		return related;
+	}
+	
+	// Moves the path highlight to a node, or clears it, and puts the branches back to their normal styles first.
+	function styles_setPath(d) {
+		
+		pathNode = d || null;
+		
+		plot.selectAll('.vz-weighted_tree-link')
+		 .style('stroke', function (d,i) { return viz.getStyle('link-stroke', arguments) })
+		 .style('stroke-opacity', function (d,i) { return viz.getStyle('link-stroke-opacity', arguments) })
+		
+		styles_applyHighlights();
+	}
+	
+	// Outlines the selected nodes and bolds their labels.
+	function styles_applySelection() {
+		
+		var selected = plot.selectAll('.vz-weighted_tree-node')
+		 .filter(function (d) { return selectedKeys.indexOf(keyOf(d.data)) > -1 });
+		
+		selected.select('.vz-weighted_tree-node-shape')
+		 .style('stroke', function (d,i) { return viz.getStyle('node-selected-stroke', arguments) })
+		 .style('stroke-width', function (d,i) { return viz.getStyle('node-selected-stroke-width', arguments) })
+		
+		selected.select('text')
+		 .style('font-weight', function (d,i) { return viz.getStyle('label-selected-font-weight', arguments) })
+	}
+	
+	// Puts the nodes that are no longer selected back to their normal styles before outlining the selection.
+	function styles_onSelectionChange() {
+		
+		plot.selectAll('.vz-weighted_tree-node-shape')
+		 .style('stroke', function (d,i) { return viz.getStyle('node-stroke', arguments) })
+		
+		plot.selectAll('.vz-weighted_tree-node > text').style('font-weight', 'normal');
+		
+		styles_applyHighlights();
+	}
+	
+	// Rings the node that has keyboard focus.
+	function styles_applyFocus() {
+		plot.selectAll('.vz-weighted_tree-node')
+		 .filter(function () { return this == document.activeElement })
+		 .select('.vz-weighted_tree-node-shape')
+		 .style('stroke', function (d,i) { return viz.getStyle('node-focus-stroke', arguments) })
+		 .style('stroke-width', function (d,i) { return viz.getStyle('node-focus-stroke-width', arguments) })
+	}
+	
+	// Outlines nodes that are waiting on the *loadChildren* function, and the ghosts of removed nodes.
+	function styles_applyPending() {
+		nodePlot.selectAll('.vz-weighted_tree-node')
+		 .classed('vz-weighted_tree-node-pending', function (d) { return d.data.vz_children_pending == true })
+		 .select('.vz-weighted_tree-node-shape')
+		 .style('stroke-dasharray', nodeDashArray)
+		
+		redraw();
+	}
+	
+	function nodeDashArray(d, i) {
+		if (d.data.vz_children_pending) return viz.getStyle('node-pending-stroke-dasharray', arguments);
+		if (d.data.vz_more) return viz.getStyle('more-node-stroke-dasharray', arguments);
+		return isGhost(d.data) ? viz.getStyle('node-removed-stroke-dasharray', arguments) : null;
+	}
+	
 	function styles_prepColorData() {
 		
 		if (!scope.styles || scope.styles == null) return;
@@ -776,16 +4659,28 @@ vizuly2.viz.WeightedTree = function (parent) {
 		var colors = viz.getStyle('link-colors');
 		var nodes = viz.data();
 		
-		viz.children()(nodes).forEach(function (node, i) {
+		if (scope.colorValue) {
+			styles_setValueColor(nodes);
+			return;
+		}
+		
+		scope.children(nodes).forEach(function (node, i) {
 			node.vz_link_color = colors[i % colors.length];
 			styles_setLinkColor(node);
 		});
 
 	}
 	
+	// Each node (and the branch leading into it) takes its color from the color scale.
+	function styles_setValueColor(node) {
+		node.vz_link_color = scope.colorScale(scope.colorValue(node));
+		if (!scope.children(node)) return;
+		scope.children(node).forEach(styles_setValueColor);
+	}
+	
 	function styles_setLinkColor(node) {
-		if (!viz.children()(node)) return;
-		viz.children()(node).forEach(function (child) {
+		if (!scope.children(node)) return;
+		scope.children(node).forEach(function (child) {
 			child.vz_link_color = node.vz_link_color;
 			styles_setLinkColor(child);
 		})
@@ -795,27 +4690,69 @@ vizuly2.viz.WeightedTree = function (parent) {
 	//Now we get to some user triggered display changes.
 	//For the gauge we simply change the font-weight of the label when a **mouseover** event occurs.
 	function styles_onMouseOver(e, d, i) {
-		var selection = scope.selection;
-		selection.selectAll('.vz-id-' + d.data.vz_tree_id + ' circle').style('fill-opacity', .9);
-		selection.selectAll('path.vz-id-' + d.data.vz_tree_id).style('stroke-opacity', .8);
-		selection.selectAll('.vz-id-' + d.data.vz_tree_id + ' text').transition().style('font-size', fontSize * 1.25).style('font-weight', 'bold');
+		var selection = plot;
+		selection.selectAll('.vz-id-' + d.data.vz_tree_id + ' .vz-weighted_tree-node-shape').style('fill-opacity', .9);
+		styles_applyLinkShape(selection.selectAll('path.vz-id-' + d.data.vz_tree_id).style('stroke-opacity', .8));
+		selection.selectAll('.vz-id-' + d.data.vz_tree_id + ' > text').transition().style('font-size', fontSize * 1.25).style('font-weight', 'bold');
+		redraw(250);
+		if (scope.highlightMode == 'hover') styles_setPath(d);
 		viz.showDataTip(e,d,i);
 	}
 	
 	//On **mouseout** we want to undo any changes we made on the mouseover callback.
 	function styles_onMouseOut(e, d, i) {
 		
-		var selection = scope.selection;
+		var selection = plot;
 		
-		selection.selectAll('.vz-weighted_tree-node circle')
+		selection.selectAll('.vz-weighted_tree-node-shape')
 		 .style('fill', function (d,i) { return viz.getStyle('node-fill', arguments) })
 		 .style('fill-opacity', function (d,i) { return viz.getStyle('node-fill-opacity', arguments) })
 		
-		selection.selectAll('.vz-weighted_tree-node text').transition().style('font-size', fontSize).style('font-weight', 'normal');
+		selection.selectAll('.vz-weighted_tree-node > text').transition().style('font-size', fontSize).style('font-weight', 'normal');
+		redraw(250);
 		
 		selection.selectAll('.vz-weighted_tree-link')
 		 .style('stroke-opacity', function (d,i) { return viz.getStyle('link-stroke-opacity', arguments) })
 		
+		if (scope.highlightMode == 'hover') styles_setPath(null);
+		else styles_applyHighlights();
+		
+		viz.removeDataTip();
+	}
+	
+	// In the 'click' *highlightMode* the highlight stays on the clicked node until it is clicked again.
+	function styles_onClick(e, d, i) {
+		if (scope.highlightMode != 'click') return;
+		styles_setPath(pathNode == d ? null : d);
+	}
+	
+	function styles_onFocus(e, d, i) {
+		if (scope.highlightMode == 'hover') styles_setPath(d);
+		styles_applyFocus();
+		viz.showDataTip(e, d, i);
+	}
+	
+	// Outlines the node that a dragged node will be dropped on.
+	function styles_applyDropTarget() {
+		
+		plot.selectAll('.vz-weighted_tree-node-shape')
+		 .style('stroke', function (d,i) { return viz.getStyle('node-stroke', arguments) })
+		
+		styles_applyHighlights();
+		
+		plot.selectAll('.vz-weighted_tree-node')
+		 .filter(function (d) { return d == dropTarget })
+		 .select('.vz-weighted_tree-node-shape')
+		 .style('stroke', function (d,i) { return viz.getStyle('node-drop-stroke', arguments) })
+		 .style('stroke-width', function (d,i) { return viz.getStyle('node-drop-stroke-width', arguments) })
+	}
+	
+	// Focus has already moved on by the time blur fires, so re-applying the highlights clears the ring.
+	function styles_onBlur(e, d, i) {
+		d3.select(e).select('.vz-weighted_tree-node-shape')
+		 .style('stroke', function (d,i) { return viz.getStyle('node-stroke', arguments) })
+		if (scope.highlightMode == 'hover') styles_setPath(null);
+		else styles_applyHighlights();
 		viz.removeDataTip();
 	}
 	
@@ -827,15 +4764,41 @@ vizuly2.viz.WeightedTree = function (parent) {
 		 '<div class="vz-tip-header-rule"></div>' +
 		 '<div class="vz-tip-header3" style="font-size:12px;"> HEADER3 </div>';
 		
-		var h1 = scope.label(d.data);
-		var h2 = scope.valueFormatter(scope.value(d.data));
+		// "More" nodes describe the children they stand in for.
+		if (d.data.vz_more) {
+			html = html
+			 .replace("HEADER1", d.data.vz_more_count + ' more')
+			 .replace("HEADER2", 'Total ' + formatSigned(d.data.vz_more_total))
+			 .replace("HEADER3", 'Click to show ' + Math.min(scope.maxVisibleChildren, d.data.vz_more_count) + ' more, shift click to show all');
+			tip.style('height', '80px').html(html);
+			return [(Number(x) + Number(d3.select(e).attr('width'))),y - 100]
+		}
+		
+		var h1 = labelOf(d.data);
+		var h2 = formatSigned(scope.value(d.data));
+		
+		// Parents show their own value next to the value rolled up from their descendants.
+		if ((isGhost(d.data) ? compareRollupValues : rollupValues)[keyOf(d.data)] !== undefined) {
+			var rollupName = (typeof scope.rollup == 'function') ? 'rollup' : scope.rollup;
+			h2 = formatSigned(scope.value(d.data)) + ' / ' + rollupName + ' ' + formatSigned(valueOf(d.data));
+		}
 		var h3 = 'Level: ' + d.depth;
 		
+		// Compared nodes also show their earlier value and how much it changed.
+		if (scope.compareData) {
+			var before = compareValueOf(d.data);
+			var after = isGhost(d.data) ? undefined : nodeValueOf(d.data);
+			var change = (before === undefined) ? after : (after === undefined) ? -before : after - before;
+			var percent = Math.round(percentChange(d.data) * 1000) / 10;
+			h3 += '<br>Before: ' + formatSigned(before) + ' &nbsp;After: ' + formatSigned(after) +
+			 '<br>Change: ' + (change > 0 ? '+' : '') + scope.valueFormatter(change) + ' (' + (percent > 0 ? '+' : '') + percent + '%)';
+		}
+		
 		html = html.replace("HEADER1", h1);
 		html = html.replace("HEADER2", h2);
 		html = html.replace("HEADER3", h3);
 		
-		tip.style('height','80px').html(html);
+		tip.style('height', scope.compareData ? '110px' : '80px').html(html);
 		
 		return [(Number(x) + Number(d3.select(e).attr('width'))),y - 100]
 		